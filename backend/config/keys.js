@@ -1,5 +1,42 @@
 // backend/config/keys.js
 require('dotenv').config();
+const path = require('path');
+
+// OIDC 제공자 설정 (JSON 배열, 엔드포인트를 직접 지정하여 로컬 mock 서버로도 테스트 가능)
+// ID 토큰 서명 검증을 위해 jwksUri는 필수 - 누락된 제공자는 사용하지 않음
+const OIDC_REQUIRED_FIELDS = ['id', 'issuer', 'clientId', 'authorizationEndpoint', 'tokenEndpoint', 'jwksUri', 'redirectUri'];
+
+const parseOidcProviders = () => {
+  if (!process.env.OIDC_PROVIDERS) return [];
+  try {
+    const providers = JSON.parse(process.env.OIDC_PROVIDERS);
+    if (!Array.isArray(providers)) return [];
+
+    return providers.filter(provider => {
+      const missing = OIDC_REQUIRED_FIELDS.filter(field => !provider?.[field]);
+      if (missing.length > 0) {
+        console.error(`OIDC provider ${provider?.id || '(unknown)'} disabled, missing: ${missing.join(', ')}`);
+        return false;
+      }
+      return true;
+    });
+  } catch (error) {
+    console.error('OIDC_PROVIDERS parse error:', error.message);
+    return [];
+  }
+};
+
+// JWT 서명 키 목록 (JSON 배열, 없으면 JWT_SECRET 하나로 HS256 서명)
+const parseJwtKeys = () => {
+  if (!process.env.JWT_KEYS) return [];
+  try {
+    const keys = JSON.parse(process.env.JWT_KEYS);
+    return Array.isArray(keys) ? keys : [];
+  } catch (error) {
+    console.error('JWT_KEYS parse error:', error.message);
+    return [];
+  }
+};
 
 // 기본 키와 솔트 (개발 환경용)
 const DEFAULT_ENCRYPTION_KEY = 'a'.repeat(64); // 32바이트를 hex로 표현
@@ -8,10 +45,50 @@ const DEFAULT_PASSWORD_SALT = 'b'.repeat(32); // 16바이트를 hex로 표현
 module.exports = {
   mongoURI: process.env.MONGO_URI,
   jwtSecret: process.env.JWT_SECRET,
+  jwtKeys: parseJwtKeys(),
+  jwtActiveKid: process.env.JWT_ACTIVE_KID,
+  jwtKeyGracePeriod: parseInt(process.env.JWT_KEY_GRACE_PERIOD, 10) || 24 * 60 * 60, // 폐기된 키로 검증을 허용하는 기간 (초, 기본 1일)
+  accessTokenExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+  refreshTokenTtl: parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 7 * 24 * 60 * 60, // 초 단위 (기본 7일)
   encryptionKey: process.env.ENCRYPTION_KEY || DEFAULT_ENCRYPTION_KEY,
   passwordSalt: process.env.PASSWORD_SALT || DEFAULT_PASSWORD_SALT,
   redisHost: process.env.REDIS_HOST,
   redisPort: process.env.REDIS_PORT,
+  maxSessionsPerUser: parseInt(process.env.MAX_SESSIONS_PER_USER, 10) || 5,
+  clientUrl: process.env.CLIENT_URL || 'http://localhost:3000',
+  mailTransport: process.env.MAIL_TRANSPORT || 'file', // file | console (console은 본문을 출력하지 않음)
+  mailFrom: process.env.MAIL_FROM || 'BootcampChat <no-reply@bootcampchat.local>',
+  mailOutboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox'),
+  passwordResetTtl: parseInt(process.env.PASSWORD_RESET_TTL, 10) || 60 * 60, // 초 단위 (기본 1시간)
+  emailVerificationMode: process.env.EMAIL_VERIFICATION_MODE || 'off', // off | login | rooms
+  emailVerificationTtl: parseInt(process.env.EMAIL_VERIFICATION_TTL, 10) || 24 * 60 * 60, // 초 단위 (기본 24시간)
+  emailVerificationResendInterval: parseInt(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL, 10) || 60, // 초 단위
+  twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'BootcampChat',
+  twoFactorChallengeTtl: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL, 10) || 5 * 60, // 초 단위 (기본 5분)
+  loginMaxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5, // 계정당 잠금 전 허용 실패 횟수
+  loginMaxAttemptsPerIp: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP, 10) || 30, // IP당 허용 실패 횟수
+  loginAttemptWindow: parseInt(process.env.LOGIN_ATTEMPT_WINDOW, 10) || 15 * 60, // 실패 횟수 집계 기간 (초)
+  loginLockoutDuration: parseInt(process.env.LOGIN_LOCKOUT_DURATION, 10) || 15 * 60, // 잠금 유지 시간 (초)
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+    maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || 128,
+    requireLetter: process.env.PASSWORD_REQUIRE_LETTER !== 'false',
+    requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+    requireMixedCase: process.env.PASSWORD_REQUIRE_MIXED_CASE === 'true',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true'
+  },
+  // 탈퇴 요청 후 실제 삭제까지 유예 기간 (초, 기본 14일, 0이면 즉시 삭제)
+  accountDeletionGracePeriod: Number.isNaN(parseInt(process.env.ACCOUNT_DELETION_GRACE_PERIOD, 10))
+    ? 14 * 24 * 60 * 60
+    : parseInt(process.env.ACCOUNT_DELETION_GRACE_PERIOD, 10),
+  dataExportDir: process.env.DATA_EXPORT_DIR || path.join(__dirname, '..', 'exports'),
+  dataExportTtl: parseInt(process.env.DATA_EXPORT_TTL, 10) || 24 * 60 * 60, // 개인정보 내보내기 파일 보관 기간 (초, 기본 24시간)
+  adminEmails: (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean),
+  oidcProviders: parseOidcProviders(),
+  oidcStateTtl: parseInt(process.env.OIDC_STATE_TTL, 10) || 10 * 60, // 초 단위 (기본 10분)
   openaiApiKey: process.env.OPENAI_API_KEY,
   vectorDbEndpoint: process.env.VECTOR_DB_ENDPOINT,
 };
\ No newline at end of file
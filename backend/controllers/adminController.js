@@ -0,0 +1,355 @@
+const User = require('../models/User');
+const ApiToken = require('../models/ApiToken');
+const SessionService = require('../services/sessionService');
+const SessionTerminationService = require('../services/sessionTerminationService');
+const TokenService = require('../services/tokenService');
+const ProfileCacheService = require('../services/profileCacheService');
+const Roles = require('../utils/roles');
+const SuspensionService = require('../services/suspensionService');
+const PasswordResetService = require('../services/passwordResetService');
+const AccountService = require('../services/accountService');
+
+const USER_SORT_FIELDS = ['createdAt', 'lastActive'];
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 관리자 화면용 사용자 정보
+const formatAdminUser = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  profileImage: user.profileImage || '',
+  role: Roles.normalize(user.role),
+  emailVerified: !!user.emailVerified,
+  twoFactorEnabled: !!user.twoFactorEnabled,
+  suspended: user.isSuspended(),
+  ...(user.isSuspended() && { suspension: SuspensionService.formatSuspension(user) }),
+  createdAt: user.createdAt,
+  lastActive: user.lastActive
+});
+
+// 관리 대상 사용자 조회 - 자기 자신이나 다른 관리자는 조치할 수 없음
+const findManageableUser = async (req, res) => {
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    res.status(404).json({ success: false, message: '사용자를 찾을 수 없습니다.' });
+    return null;
+  }
+
+  if (user._id.toString() === req.user.id) {
+    res.status(400).json({
+      success: false,
+      code: 'CANNOT_TARGET_SELF',
+      message: '자기 자신에게는 이 작업을 수행할 수 없습니다.'
+    });
+    return null;
+  }
+
+  if (user.role === 'admin') {
+    res.status(403).json({
+      success: false,
+      code: 'TARGET_IS_ADMIN',
+      message: '관리자 계정에는 이 작업을 수행할 수 없습니다. 먼저 역할을 변경해주세요.'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+const handleAdminError = (res, error, label, message) => {
+  console.error(`${label} error:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(404).json({ success: false, message: '사용자를 찾을 수 없습니다.' });
+  }
+
+  res.status(500).json({ success: false, message });
+};
+
+// 사용자 목록 (검색, 페이지네이션, 정렬)
+exports.listUsers = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const sortField = USER_SORT_FIELDS.includes(req.query.sortBy) ? req.query.sortBy : 'createdAt';
+    const sortOrder = req.query.order === 'asc' ? 1 : -1;
+
+    const filter = {};
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    if (req.query.role) {
+      if (!Roles.isValid(req.query.role)) {
+        return res.status(400).json({
+          success: false,
+          errors: [{ field: 'role', message: `역할은 ${Roles.ROLES.join(', ')} 중 하나여야 합니다.` }]
+        });
+      }
+      filter.role = req.query.role;
+    }
+
+    if (req.query.status === 'suspended') {
+      filter.suspendedAt = { $ne: null };
+      filter.$and = [{ $or: [{ suspendedUntil: null }, { suspendedUntil: { $gt: new Date() } }] }];
+    } else if (req.query.status === 'active') {
+      filter.$and = [{ $or: [{ suspendedAt: null }, { suspendedUntil: { $ne: null, $lte: new Date() } }] }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ [sortField]: sortOrder, _id: sortOrder })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      users: users.map(formatAdminUser),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: page * limit < total
+      }
+    });
+
+  } catch (error) {
+    handleAdminError(res, error, 'List users', '사용자 목록 조회 중 오류가 발생했습니다.');
+  }
+};
+
+// 계정 정지 - 모든 세션 종료 후 로그인/API 접근 차단
+exports.suspendUser = async (req, res) => {
+  try {
+    const { reason = '', until } = req.body;
+
+    const suspendedUntil = until ? new Date(until) : null;
+    if (suspendedUntil && (Number.isNaN(suspendedUntil.getTime()) || suspendedUntil.getTime() <= Date.now())) {
+      return res.status(400).json({
+        success: false,
+        errors: [{ field: 'until', message: '정지 해제 시각은 미래의 올바른 날짜여야 합니다.' }]
+      });
+    }
+
+    if (typeof reason !== 'string' || reason.length > 500) {
+      return res.status(400).json({
+        success: false,
+        errors: [{ field: 'reason', message: '정지 사유는 500자를 초과할 수 없습니다.' }]
+      });
+    }
+
+    const user = await findManageableUser(req, res);
+    if (!user) return;
+
+    const suspension = await SuspensionService.suspend(user._id, {
+      reason: reason.trim(),
+      until: suspendedUntil,
+      suspendedBy: req.user.id
+    });
+
+    await SessionTerminationService.endAllUserSessions(req.app.get('io'), user._id, {
+      reason: 'account_suspended',
+      message: '계정이 정지되었습니다.'
+    });
+
+    res.json({ success: true, message: '계정이 정지되었습니다.', suspension });
+
+  } catch (error) {
+    handleAdminError(res, error, 'Suspend user', '계정 정지 중 오류가 발생했습니다.');
+  }
+};
+
+// 계정 정지 해제
+exports.unsuspendUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('_id suspendedAt');
+    if (!user) {
+      return res.status(404).json({ success: false, message: '사용자를 찾을 수 없습니다.' });
+    }
+
+    await SuspensionService.unsuspend(user._id);
+
+    res.json({ success: true, message: '계정 정지가 해제되었습니다.' });
+
+  } catch (error) {
+    handleAdminError(res, error, 'Unsuspend user', '계정 정지 해제 중 오류가 발생했습니다.');
+  }
+};
+
+// 강제 로그아웃 - 모든 세션과 토큰 폐기 후 소켓 연결 해제
+exports.forceLogout = async (req, res) => {
+  try {
+    const user = await findManageableUser(req, res);
+    if (!user) return;
+
+    const sessions = await SessionTerminationService.endAllUserSessions(req.app.get('io'), user._id, {
+      reason: 'force_logout',
+      message: '관리자에 의해 로그아웃되었습니다.'
+    });
+
+    res.json({
+      success: true,
+      message: '사용자가 모든 기기에서 로그아웃되었습니다.',
+      revokedSessions: sessions.length
+    });
+
+  } catch (error) {
+    handleAdminError(res, error, 'Force logout', '강제 로그아웃 중 오류가 발생했습니다.');
+  }
+};
+
+// 비밀번호 재설정 메일 발송
+exports.sendPasswordReset = async (req, res) => {
+  try {
+    const user = await findManageableUser(req, res);
+    if (!user) return;
+
+    const sent = await PasswordResetService.sendResetEmail(user);
+    if (!sent) {
+      return res.status(502).json({
+        success: false,
+        message: '비밀번호 재설정 메일 발송에 실패했습니다.'
+      });
+    }
+
+    res.json({ success: true, message: '비밀번호 재설정 메일을 발송했습니다.' });
+
+  } catch (error) {
+    handleAdminError(res, error, 'Admin password reset', '비밀번호 재설정 요청 중 오류가 발생했습니다.');
+  }
+};
+
+// 계정 영구 삭제
+exports.deleteUser = async (req, res) => {
+  try {
+    const user = await findManageableUser(req, res);
+    if (!user) return;
+
+    await AccountService.hardDelete(user, { io: req.app.get('io') });
+
+    res.json({ success: true, message: '계정이 삭제되었습니다.' });
+
+  } catch (error) {
+    handleAdminError(res, error, 'Delete user', '계정 삭제 중 오류가 발생했습니다.');
+  }
+};
+
+// 지정한 시각 이전에 발급된 사용자의 모든 토큰 폐기
+// (액세스 토큰, 그 이전에 시작된 세션의 리프레시 토큰, 개인 API 토큰)
+exports.revokeUserTokens = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const before = req.body.before ? new Date(req.body.before) : new Date();
+
+    if (Number.isNaN(before.getTime()) || before.getTime() > Date.now()) {
+      return res.status(400).json({
+        success: false,
+        errors: [{
+          field: 'before',
+          message: '기준 시각은 현재 또는 과거의 올바른 날짜여야 합니다.'
+        }]
+      });
+    }
+
+    const user = await User.findById(userId).select('_id');
+    if (!user) {
+      return res.status(404).json({ success: false, message: '사용자를 찾을 수 없습니다.' });
+    }
+
+    await TokenService.revokeUserTokensBefore(userId, before.getTime());
+
+    const sessions = await SessionService.getUserSessions(userId);
+    const staleSessions = sessions.filter(session => session.createdAt < before.getTime());
+    await SessionTerminationService.endSessions(req.app.get('io'), userId, staleSessions, {
+      reason: 'tokens_revoked',
+      message: '관리자에 의해 로그인이 만료되었습니다. 다시 로그인해주세요.'
+    });
+
+    const { deletedCount } = await ApiToken.deleteMany({
+      user: userId,
+      createdAt: { $lt: before }
+    });
+
+    res.json({
+      success: true,
+      message: '토큰이 폐기되었습니다.',
+      revokedBefore: before.toISOString(),
+      revokedSessions: staleSessions.length,
+      revokedApiTokens: deletedCount
+    });
+
+  } catch (error) {
+    console.error('Revoke user tokens error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({ success: false, message: '사용자를 찾을 수 없습니다.' });
+    }
+
+    res.status(500).json({ success: false, message: '토큰 폐기 중 오류가 발생했습니다.' });
+  }
+};
+
+// 사용자 역할 변경 - 기존 토큰의 역할 정보를 무효화하기 위해 액세스 토큰 폐기
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!Roles.isValid(role)) {
+      return res.status(400).json({
+        success: false,
+        errors: [{
+          field: 'role',
+          message: `역할은 ${Roles.ROLES.join(', ')} 중 하나여야 합니다.`
+        }]
+      });
+    }
+
+    const user = await User.findById(userId).select('role');
+    if (!user) {
+      return res.status(404).json({ success: false, message: '사용자를 찾을 수 없습니다.' });
+    }
+
+    if (user.role === role) {
+      return res.json({ success: true, message: '변경된 내용이 없습니다.', role });
+    }
+
+    // 마지막 관리자의 역할은 변경할 수 없음
+    if (user.role === 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          code: 'LAST_ADMIN',
+          message: '마지막 관리자의 역할은 변경할 수 없습니다.'
+        });
+      }
+    }
+
+    await User.updateOne({ _id: userId }, { $set: { role } });
+    await ProfileCacheService.invalidateProfile(userId);
+
+    // 리프레시 토큰은 유지되므로 클라이언트는 재발급을 통해 새 역할이 담긴 토큰을 받음
+    await TokenService.revokeUserTokensBefore(userId);
+
+    res.json({ success: true, message: '역할이 변경되었습니다.', role });
+
+  } catch (error) {
+    console.error('Update user role error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({ success: false, message: '사용자를 찾을 수 없습니다.' });
+    }
+
+    res.status(500).json({ success: false, message: '역할 변경 중 오류가 발생했습니다.' });
+  }
+};
+
+module.exports = exports;
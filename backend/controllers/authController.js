@@ -1,106 +1,183 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
-const { jwtSecret } = require('../config/keys');
 const SessionService = require('../services/sessionService');
+const TokenService = require('../services/tokenService');
 const ProfileCacheService = require('../services/profileCacheService');
+const EmailVerificationService = require('../services/emailVerificationService');
+const TwoFactorService = require('../services/twoFactorService');
+const RegistrationService = require('../services/registrationService');
+const PasswordPolicy = require('../utils/passwordPolicy');
+const OidcService = require('../services/oidcService');
+const jwtKeyRing = require('../utils/jwtKeyRing');
+const LoginAttemptService = require('../services/loginAttemptService');
+const SessionTerminationService = require('../services/sessionTerminationService');
+const PasswordResetService = require('../services/passwordResetService');
+const SuspensionService = require('../services/suspensionService');
+const { adminEmails } = require('../config/keys');
+
+// 로그인 실패 기록 - 계정이 잠기면 소유자의 접속 중인 기기에 알림
+const handleLoginFailure = async (req, res, email, user = null) => {
+  const result = await LoginAttemptService.recordFailure(email, req.ip);
+
+  if (result.accountLocked) {
+    if (user) {
+      await SessionTerminationService.notifyUserSockets(req.app.get('io'), user._id, 'account_locked', {
+        message: '로그인 실패가 반복되어 계정이 일시적으로 잠겼습니다.',
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        lockedUntil: result.lockedUntil
+      });
+    }
+
+    const retryAfter = Math.ceil((result.lockedUntil - Date.now()) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(423).json({
+      success: false,
+      code: 'ACCOUNT_LOCKED',
+      message: '로그인 시도가 너무 많아 계정이 잠겼습니다. 잠시 후 다시 시도해주세요.',
+      retryAfter
+    });
+  }
+
+  return null;
+};
+
+// 계정/IP 잠금 상태면 에러 응답 후 true 반환
+const rejectIfLocked = async (req, res, email) => {
+  const lockStatus = await LoginAttemptService.checkLock(email, req.ip);
+  if (!lockStatus.locked) return false;
+
+  res.set('Retry-After', String(lockStatus.retryAfter));
+  res.status(lockStatus.error === 'ACCOUNT_LOCKED' ? 423 : 429).json({
+    success: false,
+    code: lockStatus.error,
+    message: lockStatus.message,
+    retryAfter: lockStatus.retryAfter
+  });
+  return true;
+};
+
+// 정지된 계정이면 에러 응답 후 true 반환
+const rejectIfSuspended = (res, user) => {
+  if (!user.isSuspended()) return false;
+
+  res.status(403).json({
+    success: false,
+    code: 'ACCOUNT_SUSPENDED',
+    message: '정지된 계정입니다.',
+    suspension: SuspensionService.formatSuspension(user)
+  });
+  return true;
+};
+
+// 로그인(또는 가입) 성공 처리: 세션 생성, 토큰 발급 및 응답
+const completeLogin = async (req, res, user, { status = 200, message } = {}) => {
+  await LoginAttemptService.reset(user.email);
+
+  if (rejectIfSuspended(res, user)) {
+    return;
+  }
+
+  // ADMIN_EMAILS에 등록된 계정은 최초 관리자 지정을 위해 로그인 시 관리자로 승격
+  // (이메일 소유가 확인된 계정만 - 미인증 가입으로 관리자 권한을 얻는 것 방지)
+  if (user.role !== 'admin' && user.emailVerified && adminEmails.includes(user.email)) {
+    await User.updateOne({ _id: user._id }, { $set: { role: 'admin' } });
+    user.role = 'admin';
+    await ProfileCacheService.invalidateProfile(user._id);
+  }
+
+  // 새 세션 생성
+  const sessionInfo = await SessionService.createSession(user._id, {
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip,
+    deviceInfo: req.headers['user-agent'],
+    loginAt: Date.now(),
+    browser: req.headers['user-agent'],
+    platform: req.headers['sec-ch-ua-platform'],
+    location: req.headers['x-forwarded-for'] || req.connection.remoteAddress
+  });
+
+  if (!sessionInfo || !sessionInfo.sessionId) {
+    throw new Error('Session creation failed');
+  }
+
+  // 기기 수 제한으로 정리된 세션에 종료 알림
+  if (sessionInfo.evictedSessions?.length) {
+    SessionTerminationService.notifySessionsEnded(req.app.get('io'), sessionInfo.evictedSessions, {
+      reason: 'session_limit',
+      message: '다른 기기에서 로그인하여 가장 오래된 세션이 종료되었습니다.'
+    });
+  }
+
+  // 액세스 토큰 및 리프레시 토큰 발급
+  const token = TokenService.generateAccessToken(user._id, sessionInfo.sessionId, user.role);
+  const refreshToken = await TokenService.issueRefreshToken(user._id, sessionInfo.sessionId);
+
+  // 응답 헤더 설정
+  res.set({
+    'Authorization': `Bearer ${token}`,
+    'x-session-id': sessionInfo.sessionId
+  });
+
+  res.status(status).json({
+    success: true,
+    ...(message && { message }),
+    token,
+    refreshToken,
+    sessionId: sessionInfo.sessionId,
+    user: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      profileImage: user.profileImage,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+      role: user.role,
+      deletionScheduledFor: user.deletionScheduledFor || null
+    }
+  });
+};
 
 const authController = {
+  // 회원가입 (/api/auth/register, /api/users/register 공통)
   async register(req, res) {
     try {
-      console.log('Register request received:', req.body);
-      
       const { name, email, password } = req.body;
 
-      // Input validation
-      if (!name || !email || !password) {
-        return res.status(400).json({
-          success: false,
-          message: '모든 필드를 입력해주세요.'
-        });
-      }
+      const result = await RegistrationService.register({ name, email, password });
 
-      if (!email.match(/^[^\s@]+@[^\s@]+\.[^\s@]+$/)) {
-        return res.status(400).json({
+      if (!result.success) {
+        return res.status(result.status).json({
           success: false,
-          message: '올바른 이메일 형식이 아닙니다.'
+          message: result.message || '입력값이 올바르지 않습니다.',
+          ...(result.errors && { errors: result.errors })
         });
       }
 
-      if (password.length < 6) {
-        return res.status(400).json({
-          success: false,
-          message: '비밀번호는 6자 이상이어야 합니다.'
-        });
-      }
-      
-      // Check existing user
-      const existingUser = await User.findOne({ email });
-      if (existingUser) {
-        return res.status(409).json({
-          success: false,
-          message: '이미 등록된 이메일입니다.'
+      const { user } = result;
+
+      // 로그인에 이메일 인증이 필요한 경우 세션 없이 가입만 완료
+      if (EmailVerificationService.isRequiredForLogin()) {
+        return res.status(201).json({
+          success: true,
+          message: '회원가입이 완료되었습니다. 이메일 인증 후 로그인해주세요.',
+          requiresEmailVerification: true,
+          user: {
+            _id: user._id,
+            name: user.name,
+            email: user.email,
+            profileImage: user.profileImage,
+            emailVerified: user.emailVerified
+          }
         });
       }
-      
-      // Create user
-      const user = new User({
-        name,
-        email,
-        password
-      });
 
-      await user.save();
-      console.log('User created:', user._id);
-
-      // Create session with metadata
-      const sessionInfo = await SessionService.createSession(user._id, {
-        userAgent: req.headers['user-agent'],
-        ipAddress: req.ip,
-        deviceInfo: req.headers['user-agent'],
-        createdAt: Date.now()
-      });
-      
-      if (!sessionInfo || !sessionInfo.sessionId) {
-        throw new Error('Session creation failed');
-      }
-
-      // Generate token with additional claims
-      const token = jwt.sign(
-        { 
-          user: { id: user._id },
-          sessionId: sessionInfo.sessionId,
-          iat: Math.floor(Date.now() / 1000)
-        },
-        jwtSecret,
-        { 
-          expiresIn: '24h',
-          algorithm: 'HS256'
-        }
-      );
-
-      res.status(201).json({
-        success: true,
-        message: '회원가입이 완료되었습니다.',
-        token,
-        sessionId: sessionInfo.sessionId,
-        user: {
-          _id: user._id,
-          name: user.name,
-          email: user.email
-        }
+      await completeLogin(req, res, user, {
+        status: 201,
+        message: '회원가입이 완료되었습니다.'
       });
 
     } catch (error) {
       console.error('Register error:', error);
-      
-      if (error.name === 'ValidationError') {
-        return res.status(400).json({
-          success: false,
-          message: '입력값이 올바르지 않습니다.',
-          errors: Object.values(error.errors).map(err => err.message)
-        });
-      }
-      
       res.status(500).json({
         success: false,
         message: '회원가입 처리 중 오류가 발생했습니다.'
@@ -120,174 +197,209 @@ const authController = {
         });
       }
 
+      // 잠금 상태 확인
+      if (await rejectIfLocked(req, res, email)) {
+        return;
+      }
+
+      // 누적 실패 횟수에 따른 응답 지연
+      const delay = await LoginAttemptService.getDelay(email);
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+
       // 사용자 조회
       const user = await User.findOne({ email }).select('+password');
-      if (!user) {
+
+      // 비밀번호 확인
+      const isMatch = user ? await user.matchPassword(password) : false;
+      if (!isMatch) {
+        if (await handleLoginFailure(req, res, email, user)) {
+          return;
+        }
+
         return res.status(401).json({
           success: false,
           message: '이메일 또는 비밀번호가 올바르지 않습니다.'
         });
       }
 
-      // 비밀번호 확인
-      const isMatch = await user.matchPassword(password);
-      if (!isMatch) {
-        return res.status(401).json({
+      // 정지된 계정은 2단계 인증 전에 거부
+      if (rejectIfSuspended(res, user)) {
+        return;
+      }
+
+      // 이메일 인증 확인
+      if (EmailVerificationService.isRequiredForLogin() && !user.emailVerified) {
+        return res.status(403).json({
           success: false,
-          message: '이메일 또는 비밀번호가 올바르지 않습니다.'
+          code: 'EMAIL_NOT_VERIFIED',
+          message: '이메일 인증 후 로그인할 수 있습니다.'
         });
       }
 
-      // 기존 세션 확인 시도
-      let existingSession = null;
-      try {
-        existingSession = await SessionService.getActiveSession(user._id);
-      } catch (sessionError) {
-        console.error('Session check error:', sessionError);
-      }
-
-      if (existingSession) {
-        const io = req.app.get('io');
-        
-        if (io) {
-          try {
-            // 중복 로그인 이벤트 발생 시 더 자세한 정보 제공
-            io.to(existingSession.socketId).emit('duplicate_login', {
-              type: 'new_login_attempt',
-              deviceInfo: req.headers['user-agent'],
-              ipAddress: req.ip,
-              timestamp: Date.now(),
-              location: req.headers['x-forwarded-for'] || req.connection.remoteAddress,
-              browser: req.headers['user-agent']
-            });
-
-            // Promise 기반의 응답 대기 로직 개선
-            const response = await new Promise((resolve, reject) => {
-              const timeout = setTimeout(() => {
-                reject(new Error('DUPLICATE_LOGIN_TIMEOUT'));
-              }, 60000); // 60초 타임아웃
-
-              const cleanup = () => {
-                clearTimeout(timeout);
-                io.removeListener('force_login', handleForceLogin);
-                io.removeListener('keep_existing_session', handleKeepSession);
-              };
-
-              const handleForceLogin = async (data) => {
-                try {
-                  if (data.token === existingSession.token) {
-                    // 기존 세션 종료 및 소켓 연결 해제
-                    await SessionService.removeSession(user._id, existingSession.sessionId);
-                    io.to(existingSession.socketId).emit('session_terminated', {
-                      reason: 'new_login',
-                      message: '다른 기기에서 로그인하여 현재 세션이 종료되었습니다.'
-                    });
-                    resolve('force_login');
-                  } else {
-                    reject(new Error('INVALID_TOKEN'));
-                  }
-                } catch (error) {
-                  reject(error);
-                } finally {
-                  cleanup();
-                }
-              };
-
-              const handleKeepSession = () => {
-                cleanup();
-                resolve('keep_existing');
-              };
-
-              io.once('force_login', handleForceLogin);
-              io.once('keep_existing_session', handleKeepSession);
-            });
-
-            // 응답에 따른 처리
-            if (response === 'keep_existing') {
-              return res.status(409).json({
-                success: false,
-                code: 'DUPLICATE_LOGIN_REJECTED',
-                message: '기존 세션을 유지하도록 선택되었습니다.'
-              });
-            }
-
-          } catch (error) {
-            if (error.message === 'DUPLICATE_LOGIN_TIMEOUT') {
-              return res.status(409).json({
-                success: false,
-                code: 'DUPLICATE_LOGIN_TIMEOUT',
-                message: '중복 로그인 요청이 시간 초과되었습니다.'
-              });
-            }
-            throw error;
-          }
-        } else {
-          // Socket.IO 연결이 없는 경우 자동으로 기존 세션 종료
-          await SessionService.removeAllUserSessions(user._id);
-        }
+      // 2단계 인증 사용자는 코드 확인 전까지 챌린지 토큰만 발급
+      if (user.twoFactorEnabled) {
+        const { challengeToken, expiresIn } = await TwoFactorService.createChallenge(user._id);
+        return res.json({
+          success: true,
+          requiresTwoFactor: true,
+          challengeToken,
+          expiresIn
+        });
       }
 
-      // 새 세션 생성
-      const sessionInfo = await SessionService.createSession(user._id, {
-        userAgent: req.headers['user-agent'],
-        ipAddress: req.ip,
-        deviceInfo: req.headers['user-agent'],
-        loginAt: Date.now(),
-        browser: req.headers['user-agent'],
-        platform: req.headers['sec-ch-ua-platform'],
-        location: req.headers['x-forwarded-for'] || req.connection.remoteAddress
+      await completeLogin(req, res, user);
+
+    } catch (error) {
+      console.error('Login error:', error);
+      
+      res.status(500).json({
+        success: false,
+        message: '로그인 처리 중 오류가 발생했습니다.',
+        code: error.code || 'UNKNOWN_ERROR'
       });
+    }
+  },
+
+  async loginTwoFactor(req, res) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      if (!challengeToken || (!code && !recoveryCode)) {
+        return res.status(400).json({
+          success: false,
+          message: '인증 코드를 입력해주세요.'
+        });
+      }
+
+      // 코드 확인(챌린지·복구 코드 소비) 전에 계정 잠금 적용
+      const challengeUserId = await TwoFactorService.getChallengeUserId(challengeToken);
+      const challengeUser = challengeUserId ? await User.findById(challengeUserId) : null;
 
-      if (!sessionInfo || !sessionInfo.sessionId) {
-        throw new Error('Session creation failed');
+      if (challengeUser && await rejectIfLocked(req, res, challengeUser.email)) {
+        return;
       }
 
-      // JWT 토큰 생성
-      const token = jwt.sign(
-        { 
-          user: { id: user._id },
-          sessionId: sessionInfo.sessionId,
-          iat: Math.floor(Date.now() / 1000)
-        },
-        jwtSecret,
-        { 
-          expiresIn: '24h',
-          algorithm: 'HS256'
+      const result = await TwoFactorService.completeChallenge(challengeToken, { code, recoveryCode });
+
+      if (!result.success) {
+        if (challengeUser && result.userId && await handleLoginFailure(req, res, challengeUser.email, challengeUser)) {
+          return;
         }
-      );
 
-      // 응답 헤더 설정
-      res.set({
-        'Authorization': `Bearer ${token}`,
-        'x-session-id': sessionInfo.sessionId
+        return res.status(401).json({
+          success: false,
+          code: result.error,
+          message: result.message
+        });
+      }
+
+      if (!challengeUser) {
+        return res.status(404).json({
+          success: false,
+          message: '사용자를 찾을 수 없습니다.'
+        });
+      }
+
+      await completeLogin(req, res, challengeUser);
+
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      res.status(500).json({
+        success: false,
+        message: '로그인 처리 중 오류가 발생했습니다.',
+        code: error.code || 'UNKNOWN_ERROR'
+      });
+    }
+  },
+
+  async getOidcProviders(req, res) {
+    res.json({
+      success: true,
+      providers: OidcService.listProviders()
+    });
+  },
+
+  // 액세스 토큰 검증용 공개키 (JWKS)
+  async getJwks(req, res) {
+    try {
+      res.set('Cache-Control', 'public, max-age=300');
+      res.json(jwtKeyRing.getJwks());
+    } catch (error) {
+      console.error('JWKS error:', error);
+      res.status(500).json({
+        success: false,
+        message: '공개키 조회 중 오류가 발생했습니다.'
       });
+    }
+  },
+
+  async oidcAuthorize(req, res) {
+    try {
+      const request = await OidcService.createAuthorizationRequest(req.params.provider);
 
       res.json({
         success: true,
-        token,
-        sessionId: sessionInfo.sessionId,
-        user: {
-          _id: user._id,
-          name: user.name,
-          email: user.email,
-          profileImage: user.profileImage
-        }
+        authorizationUrl: request.authorizationUrl,
+        expiresIn: request.expiresIn
       });
+    } catch (error) {
+      console.error('OIDC authorize error:', error);
+
+      if (error.isOidcError) {
+        return res.status(error.status).json({
+          success: false,
+          code: error.code,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: '외부 로그인 요청 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  async oidcCallback(req, res) {
+    try {
+      const { code, state } = req.body;
+      // 계정 연결 요청은 인증이 필요한 /api/users/identities/:provider/callback 에서만 처리
+      const { claims } = await OidcService.handleCallback(req.params.provider, { code, state });
+
+      const { user, created } = await OidcService.findOrCreateUser(req.params.provider, claims);
+
+      // 2단계 인증 사용자는 외부 로그인 후에도 코드 확인 필요
+      if (user.twoFactorEnabled) {
+        const { challengeToken, expiresIn } = await TwoFactorService.createChallenge(user._id);
+        return res.json({
+          success: true,
+          requiresTwoFactor: true,
+          challengeToken,
+          expiresIn
+        });
+      }
+
+      await completeLogin(req, res, user, created ? {
+        status: 201,
+        message: '회원가입이 완료되었습니다.'
+      } : {});
 
     } catch (error) {
-      console.error('Login error:', error);
-      
-      if (error.message === 'INVALID_TOKEN') {
-        return res.status(401).json({
+      console.error('OIDC callback error:', error);
+
+      if (error.isOidcError) {
+        return res.status(error.status).json({
           success: false,
-          message: '인증 토큰이 유효하지 않습니다.'
+          code: error.code,
+          message: error.message
         });
       }
-      
+
       res.status(500).json({
         success: false,
-        message: '로그인 처리 중 오류가 발생했습니다.',
-        code: error.code || 'UNKNOWN_ERROR'
+        message: '외부 로그인 처리 중 오류가 발생했습니다.'
       });
     }
   },
@@ -302,12 +414,16 @@ const authController = {
         });
       }
 
+      // 세션 삭제 전에 연결된 소켓 ID 확인
+      const socketId = await SessionService.getSocketId(req.user.id, sessionId);
+
       await SessionService.removeSession(req.user.id, sessionId);
+      await TokenService.revokeSessionTokens(sessionId);
+      await TokenService.revokeAccessToken(req.tokenPayload);
 
       // Socket.IO 클라이언트에 로그아웃 알림
       const io = req.app.get('io');
       if (io) {
-        const socketId = await SessionService.getSocketId(req.user.id, sessionId);
         if (socketId) {
           io.to(socketId).emit('session_ended', {
             reason: 'logout',
@@ -333,6 +449,269 @@ const authController = {
     }
   },
 
+  async verifyEmail(req, res) {
+    try {
+      const result = await EmailVerificationService.verify(req.params.token);
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          code: result.error,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: '이메일 인증이 완료되었습니다.'
+      });
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json({
+        success: false,
+        message: '이메일 인증 처리 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  async resendVerification(req, res) {
+    try {
+      const { email } = req.body;
+
+      if (!email || !RegistrationService.EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({
+          success: false,
+          errors: [{
+            field: 'email',
+            message: '올바른 이메일 형식이 아닙니다.'
+          }]
+        });
+      }
+
+      const result = await EmailVerificationService.resend(email);
+
+      if (!result.success) {
+        return res.status(429).json({
+          success: false,
+          code: result.error,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: '인증이 필요한 계정이라면 인증 메일이 발송됩니다.'
+      });
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: '인증 메일 재전송 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+
+      if (!email || !RegistrationService.EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({
+          success: false,
+          errors: [{
+            field: 'email',
+            message: '올바른 이메일 형식이 아닙니다.'
+          }]
+        });
+      }
+
+      // 가입 여부와 관계없이 같은 응답을 반환하여 계정 존재 여부 노출 방지
+      const user = await User.findOne({ email: email.toLowerCase().trim() });
+      if (user) {
+        await PasswordResetService.sendResetEmail(user);
+      }
+
+      res.json({
+        success: true,
+        message: '입력하신 이메일로 비밀번호 재설정 안내를 보냈습니다.'
+      });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        message: '비밀번호 재설정 요청 처리 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  async resetPassword(req, res) {
+    try {
+      const { token, password, confirmPassword } = req.body;
+
+      // 입력값 검증
+      const validationErrors = [];
+
+      if (!token) {
+        validationErrors.push({
+          field: 'token',
+          message: '재설정 토큰이 없습니다.'
+        });
+      }
+
+      if (!password) {
+        validationErrors.push({
+          field: 'password',
+          message: '새 비밀번호를 입력해주세요.'
+        });
+      }
+
+      if (confirmPassword !== undefined && password !== confirmPassword) {
+        validationErrors.push({
+          field: 'confirmPassword',
+          message: '새 비밀번호가 일치하지 않습니다.'
+        });
+      }
+
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors: validationErrors
+        });
+      }
+
+      const invalidTokenResponse = {
+        success: false,
+        code: 'INVALID_RESET_TOKEN',
+        message: '유효하지 않거나 만료된 재설정 링크입니다.'
+      };
+
+      // 정책 위반 시 다시 시도할 수 있도록 토큰은 검증 후에 폐기
+      const userId = await TokenService.peekOneTimeToken(PasswordResetService.TOKEN_PURPOSE, token);
+      if (!userId) {
+        return res.status(400).json(invalidTokenResponse);
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: '사용자를 찾을 수 없습니다.'
+        });
+      }
+
+      const policyErrors = PasswordPolicy.validate(password, { name: user.name, email: user.email });
+      if (policyErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors: policyErrors
+        });
+      }
+
+      if (!(await TokenService.consumeOneTimeToken(PasswordResetService.TOKEN_PURPOSE, token))) {
+        return res.status(400).json(invalidTokenResponse);
+      }
+
+      user.password = password;
+      user.passwordSet = true;
+      await user.save();
+
+      // 기존에 로그인된 모든 기기 로그아웃
+      await SessionTerminationService.endAllUserSessions(req.app.get('io'), user._id, {
+        reason: 'password_reset',
+        message: '비밀번호가 재설정되어 다시 로그인해야 합니다.'
+      });
+
+      res.json({
+        success: true,
+        message: '비밀번호가 재설정되었습니다. 새 비밀번호로 로그인해주세요.'
+      });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({
+        success: false,
+        message: '비밀번호 재설정 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  async getSessions(req, res) {
+    try {
+      const currentSessionId = req.sessionId;
+      const sessions = await SessionService.getUserSessions(req.user.id);
+
+      res.json({
+        success: true,
+        sessions: sessions
+          .sort((a, b) => b.lastActivity - a.lastActivity)
+          .map(session => SessionService.formatSession(session, currentSessionId))
+      });
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: '세션 목록 조회 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  async revokeSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const sessions = await SessionService.getUserSessions(req.user.id);
+      const target = sessions.find(session => session.sessionId === sessionId);
+
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: '세션을 찾을 수 없습니다.'
+        });
+      }
+
+      await SessionTerminationService.endSessions(req.app.get('io'), req.user.id, [target], {
+        reason: 'session_revoked',
+        message: '다른 기기에서 세션이 종료되었습니다.'
+      });
+
+      res.json({
+        success: true,
+        message: '세션이 종료되었습니다.'
+      });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        success: false,
+        message: '세션 종료 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  async revokeOtherSessions(req, res) {
+    try {
+      const currentSessionId = req.sessionId;
+      const removedSessions = await SessionService.removeOtherSessions(req.user.id, currentSessionId);
+      await Promise.all(
+        removedSessions.map(session => TokenService.revokeSessionTokens(session.sessionId))
+      );
+
+      SessionTerminationService.notifySessionsEnded(req.app.get('io'), removedSessions, {
+        reason: 'session_revoked',
+        message: '다른 기기에서 세션이 종료되었습니다.'
+      });
+
+      res.json({
+        success: true,
+        message: '다른 기기의 세션이 모두 종료되었습니다.',
+        revokedCount: removedSessions.length
+      });
+    } catch (error) {
+      console.error('Revoke other sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: '세션 종료 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
   async verifyToken(req, res) {
     try {
       const token = req.header('x-auth-token');
@@ -347,7 +726,7 @@ const authController = {
       }
 
       // JWT 토큰 검증
-      const decoded = jwt.verify(token, jwtSecret);
+      const decoded = TokenService.verifyAccessToken(token);
       
       if (!decoded?.user?.id || !decoded?.sessionId) {
         return res.status(401).json({
@@ -356,6 +735,14 @@ const authController = {
         });
       }
 
+      if (await TokenService.isAccessTokenRevoked(decoded)) {
+        return res.status(401).json({
+          success: false,
+          code: 'TOKEN_REVOKED',
+          message: '폐기된 토큰입니다. 다시 로그인해주세요.'
+        });
+      }
+
       // 토큰의 sessionId와 헤더의 sessionId 일치 여부 확인
       if (decoded.sessionId !== sessionId) {
         return res.status(401).json({
@@ -433,15 +820,47 @@ const authController = {
 
   async refreshToken(req, res) {
     try {
-      const oldSessionId = req.header('x-session-id');
-      if (!oldSessionId) {
+      const refreshToken = req.body.refreshToken || req.header('x-refresh-token');
+      if (!refreshToken) {
         return res.status(400).json({
           success: false,
-          message: '세션 정보가 없습니다.'
+          message: '리프레시 토큰이 없습니다.'
+        });
+      }
+
+      const rotation = await TokenService.rotateRefreshToken(refreshToken);
+
+      if (!rotation.success) {
+        // 재사용이 감지된 경우 해당 세션도 함께 종료
+        if (rotation.error === 'REFRESH_TOKEN_REUSED') {
+          const socketId = await SessionService.getSocketId(rotation.userId, rotation.sessionId);
+          await SessionService.removeSession(rotation.userId, rotation.sessionId);
+
+          SessionTerminationService.notifySessionsEnded(req.app.get('io'), [{ socketId }], {
+            reason: 'token_reuse',
+            message: '보안 문제로 세션이 종료되었습니다. 다시 로그인해주세요.'
+          });
+        }
+
+        return res.status(401).json({
+          success: false,
+          code: rotation.error,
+          message: rotation.message
+        });
+      }
+
+      // 세션이 여전히 유효한지 확인 (로그아웃/세션 종료 후 재발급 방지)
+      const validationResult = await SessionService.validateSession(rotation.userId, rotation.sessionId);
+      if (!validationResult.isValid) {
+        await TokenService.revokeSessionTokens(rotation.sessionId);
+        return res.status(401).json({
+          success: false,
+          code: validationResult.error,
+          message: validationResult.message
         });
       }
 
-      const user = await User.findById(req.user.id);
+      const user = await User.findById(rotation.userId);
       if (!user) {
         return res.status(404).json({
           success: false,
@@ -449,40 +868,21 @@ const authController = {
         });
       }
 
-      // 이전 세션 제거
-      await SessionService.removeSession(user._id, oldSessionId);
-
-      // 새 세션 생성
-      const sessionInfo = await SessionService.createSession(user._id, {
-        userAgent: req.headers['user-agent'],
-        ipAddress: req.ip,
-        deviceInfo: req.headers['user-agent'],
-        refreshedAt: Date.now()
-      });
-
-      if (!sessionInfo || !sessionInfo.sessionId) {
-        throw new Error('Failed to create new session');
+      if (user.isSuspended()) {
+        await SessionService.removeSession(user._id, rotation.sessionId);
+        await TokenService.revokeSessionTokens(rotation.sessionId);
+        rejectIfSuspended(res, user);
+        return;
       }
 
-      // 새로운 JWT 토큰 생성
-      const token = jwt.sign(
-        { 
-          user: { id: user._id },
-          sessionId: sessionInfo.sessionId,
-          iat: Math.floor(Date.now() / 1000)
-        },
-        jwtSecret,
-        { 
-          expiresIn: '24h',
-          algorithm: 'HS256'
-        }
-      );
+      const token = TokenService.generateAccessToken(user._id, rotation.sessionId, user.role);
 
       res.json({
         success: true,
         message: '토큰이 갱신되었습니다.',
         token,
-        sessionId: sessionInfo.sessionId,
+        refreshToken: rotation.refreshToken,
+        sessionId: rotation.sessionId,
         user: {
           _id: user._id,
           name: user.name,
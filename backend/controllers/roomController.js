@@ -0,0 +1,627 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const ProfileCacheService = require('../services/profileCacheService');
+const RoomService = require('../services/roomService');
+const RoomInviteService = require('../services/roomInviteService');
+const DirectMessageService = require('../services/directMessageService');
+const EmailVerificationService = require('../services/emailVerificationService');
+const RoomRoles = require('../utils/roomRoles');
+
+const ROOM_SORT_FIELDS = ['createdAt', 'name', 'participantsCount'];
+const MAX_PAGE_SIZE = 50;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isParticipant = (room, userId) =>
+  (room.participants || []).some(participant => participant.toString() === userId);
+
+// 채팅방 응답 포맷 - 생성자/참가자 프로필은 ProfileCacheService에서 일괄 조회한 값 사용
+const formatRoom = (room, user, profiles, { includeParticipants = false } = {}) => {
+  const joined = isParticipant(room, user.id);
+  const isDirect = RoomService.isDirect(room);
+  const audience = joined || RoomService.isMember(room, user.id) ? 'room_members' : 'everyone';
+  const toUser = (id) => {
+    const profile = profiles.get(id.toString());
+    return profile ? {
+      _id: profile.id,
+      ...ProfileCacheService.filterProfile(profile, audience),
+      roomRole: isDirect ? null : RoomRoles.getMemberRole(room, id)
+    } : null;
+  };
+  const peerId = isDirect ? DirectMessageService.getPeerId(room, user.id) : null;
+
+  return {
+    _id: room._id,
+    name: room.name,
+    type: room.type || 'group',
+    hasPassword: !!room.hasPassword,
+    visibility: room.visibility || 'public',
+    creator: room.creator ? toUser(room.creator) : null,
+    // 1:1 대화 상대 (탈퇴한 경우 null)
+    ...(isDirect && { peer: peerId ? toUser(peerId) : null }),
+    participantsCount: room.participantsCount ?? (room.participants || []).length,
+    isParticipant: joined,
+    myRole: isDirect ? null : RoomRoles.getEffectiveRole(room, user),
+    createdAt: room.createdAt,
+    // 비밀번호가 있는 방의 참가자 목록은 참가자에게만 제공
+    ...(includeParticipants && (joined || !room.hasPassword) && {
+      participants: room.participants.map(toUser).filter(Boolean)
+    })
+  };
+};
+
+const getRoomProfiles = (rooms, { includeParticipants = false } = {}) => {
+  const userIds = rooms.flatMap(room => [
+    room.creator,
+    ...(RoomService.isDirect(room) ? room.members : []),
+    ...(includeParticipants ? room.participants : [])
+  ]);
+  return ProfileCacheService.getProfiles(userIds);
+};
+
+const handleRoomError = (res, error, label, message) => {
+  console.error(`${label} error:`, error);
+
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      code: error.code,
+      message: error.message,
+      ...(error.expiresAt !== undefined && { expiresAt: error.expiresAt }),
+      ...(error.field && { errors: [{ field: error.field, message: error.message }] })
+    });
+  }
+
+  res.status(500).json({ success: false, message });
+};
+
+const findRoom = async (req, res) => {
+  const { roomId } = req.params;
+  const room = mongoose.Types.ObjectId.isValid(roomId) ? await Room.findById(roomId) : null;
+  if (!room) {
+    res.status(404).json({
+      success: false,
+      message: '채팅방을 찾을 수 없습니다.'
+    });
+    return null;
+  }
+  return room;
+};
+
+// 채팅방 목록 (이름 검색: q, 정렬: sortBy=createdAt|name|participantsCount, order=asc|desc)
+exports.listRooms = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const sortField = ROOM_SORT_FIELDS.includes(req.query.sortBy) ? req.query.sortBy : 'createdAt';
+    const sortOrder = req.query.order === 'asc' ? 1 : -1;
+
+    // 초대 전용 방은 입장 권한이 있는 사용자에게만 표시
+    const filter = RoomService.getAccessFilter(req.user.id);
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q) {
+      filter.name = new RegExp(escapeRegex(q), 'i');
+    }
+
+    const [rooms, total] = await Promise.all([
+      Room.aggregate([
+        { $match: filter },
+        { $addFields: { participantsCount: { $size: '$participants' } } },
+        { $sort: { [sortField]: sortOrder, _id: sortOrder } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        { $project: { password: 0 } }
+      ]),
+      Room.countDocuments(filter)
+    ]);
+
+    const profiles = await getRoomProfiles(rooms);
+
+    res.json({
+      success: true,
+      rooms: rooms.map(room => formatRoom(room, req.user, profiles)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: page * limit < total
+      }
+    });
+
+  } catch (error) {
+    console.error('List rooms error:', error);
+    res.status(500).json({
+      success: false,
+      message: '채팅방 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+// 채팅방 생성 - 생성자는 자동으로 참가
+exports.createRoom = async (req, res) => {
+  try {
+    const { name, password, visibility = 'public' } = req.body;
+    const errors = [];
+
+    const nameError = RoomService.validateName(name);
+    if (nameError) {
+      errors.push({ field: 'name', message: nameError });
+    }
+
+    const passwordError = RoomService.validatePassword(password);
+    if (passwordError) {
+      errors.push({ field: 'password', message: passwordError });
+    }
+
+    if (!Room.VISIBILITY.includes(visibility)) {
+      errors.push({ field: 'visibility', message: `공개 범위는 ${Room.VISIBILITY.join(', ')} 중 하나여야 합니다.` });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    await EmailVerificationService.assertVerifiedForRooms(req.user.id);
+
+    // 비밀번호 해싱과 hasPassword 설정은 Room 모델의 pre-save 훅에서 처리
+    const room = new Room({
+      name: name.trim(),
+      creator: req.user.id,
+      visibility,
+      participants: [req.user.id],
+      members: [req.user.id],
+      ...(password && { password })
+    });
+    await room.save();
+
+    const profiles = await getRoomProfiles([room], { includeParticipants: true });
+
+    res.status(201).json({
+      success: true,
+      room: formatRoom(room, req.user, profiles, { includeParticipants: true })
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'Create room', '채팅방 생성 중 오류가 발생했습니다.');
+  }
+};
+
+// 채팅방 상세 조회
+exports.getRoom = async (req, res) => {
+  try {
+    const room = await findRoom(req, res);
+    if (!room) return;
+
+    // 초대 전용 방은 존재 여부도 노출하지 않음
+    if (!RoomService.canAccess(room, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: '채팅방을 찾을 수 없습니다.'
+      });
+    }
+
+    const profiles = await getRoomProfiles([room], { includeParticipants: true });
+
+    res.json({
+      success: true,
+      room: formatRoom(room, req.user, profiles, { includeParticipants: true })
+    });
+
+  } catch (error) {
+    console.error('Get room error:', error);
+    res.status(500).json({
+      success: false,
+      message: '채팅방 조회 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+// 채팅방 참가 - 비밀번호가 있는 방은 Room.checkPassword로 확인
+exports.joinRoom = async (req, res) => {
+  try {
+    let room = await findRoom(req, res);
+    if (!room) return;
+
+    await EmailVerificationService.assertVerifiedForRooms(req.user.id);
+
+    // 비밀번호는 아래에서 직접 확인
+    RoomService.assertCanJoin(room, req.user, { checkPassword: false });
+
+    // 초대 링크로 참가한 멤버는 비밀번호 확인 생략
+    if (!isParticipant(room, req.user.id) && !RoomService.isMember(room, req.user.id)) {
+      const { password } = req.body;
+      if (room.hasPassword && (typeof password !== 'string' || !password)) {
+        return res.status(400).json({
+          success: false,
+          errors: [{ field: 'password', message: '채팅방 비밀번호를 입력해주세요.' }]
+        });
+      }
+
+      const isValid = await room.checkPassword(password);
+      if (!isValid) {
+        return res.status(403).json({
+          success: false,
+          code: 'INVALID_ROOM_PASSWORD',
+          message: '채팅방 비밀번호가 일치하지 않습니다.'
+        });
+      }
+    }
+
+    if (!isParticipant(room, req.user.id) || !RoomService.isMember(room, req.user.id)) {
+      room = await Room.findByIdAndUpdate(
+        room._id,
+        { $addToSet: { participants: req.user.id, members: req.user.id } },
+        { new: true }
+      );
+    }
+
+    const profiles = await getRoomProfiles([room], { includeParticipants: true });
+
+    res.json({
+      success: true,
+      message: '채팅방에 참가했습니다.',
+      room: formatRoom(room, req.user, profiles, { includeParticipants: true })
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'Join room', '채팅방 참가 중 오류가 발생했습니다.');
+  }
+};
+
+// 채팅방 설정 변경 - 이름은 관리자 이상, 비밀번호와 공개 범위는 방장만 변경 가능
+exports.updateRoom = async (req, res) => {
+  try {
+    const room = await findRoom(req, res);
+    if (!room) return;
+
+    const { name, password, visibility } = req.body;
+    const updatedRoom = await RoomService.updateSettings(room, req.user, {
+      name,
+      password,
+      visibility,
+      io: req.app.get('io')
+    });
+
+    const profiles = await getRoomProfiles([updatedRoom], { includeParticipants: true });
+
+    res.json({
+      success: true,
+      message: '채팅방 설정이 변경되었습니다.',
+      room: formatRoom(updatedRoom, req.user, profiles, { includeParticipants: true })
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'Update room', '채팅방 설정 변경 중 오류가 발생했습니다.');
+  }
+};
+
+// 채팅방 삭제 (방장만 가능, 메시지 포함)
+exports.deleteRoom = async (req, res) => {
+  try {
+    const room = await findRoom(req, res);
+    if (!room) return;
+
+    await RoomService.deleteRoom(room, req.user, { io: req.app.get('io') });
+
+    res.json({
+      success: true,
+      message: '채팅방이 삭제되었습니다.'
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'Delete room', '채팅방 삭제 중 오류가 발생했습니다.');
+  }
+};
+
+// 멤버 강퇴
+exports.kickMember = async (req, res) => {
+  try {
+    const room = await findRoom(req, res);
+    if (!room) return;
+
+    await RoomService.kickMember(room, req.user, req.params.userId, { io: req.app.get('io') });
+
+    res.json({
+      success: true,
+      message: '멤버를 내보냈습니다.'
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'Kick member', '멤버 강퇴 중 오류가 발생했습니다.');
+  }
+};
+
+// 멤버 역할 변경 (role: member | moderator | owner, owner 지정 시 방장 위임)
+exports.updateMemberRole = async (req, res) => {
+  try {
+    const room = await findRoom(req, res);
+    if (!room) return;
+
+    const updatedRoom = await RoomService.setMemberRole(room, req.user, req.params.userId, req.body.role, {
+      io: req.app.get('io')
+    });
+
+    const profiles = await getRoomProfiles([updatedRoom], { includeParticipants: true });
+
+    res.json({
+      success: true,
+      message: '멤버 역할이 변경되었습니다.',
+      room: formatRoom(updatedRoom, req.user, profiles, { includeParticipants: true })
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'Update member role', '멤버 역할 변경 중 오류가 발생했습니다.');
+  }
+};
+
+// 차단 목록 조회 (만료된 차단 제외)
+exports.getBans = async (req, res) => {
+  try {
+    const room = await findRoom(req, res);
+    if (!room) return;
+
+    RoomService.assertPermission(room, req.user, 'room:ban');
+
+    const bans = RoomService.getActiveBans(room);
+    const profiles = await ProfileCacheService.getProfiles(
+      bans.flatMap(ban => [ban.user, ban.createdBy]),
+      { audience: 'room_members' }
+    );
+    const toUser = (id) => {
+      const profile = id && profiles.get(id.toString());
+      return profile ? { _id: profile.id, name: profile.name, profileImage: profile.profileImage } : null;
+    };
+
+    res.json({
+      success: true,
+      bans: bans.map(ban => ({
+        user: toUser(ban.user) || { _id: ban.user },
+        reason: ban.reason,
+        expiresAt: ban.expiresAt,
+        bannedBy: toUser(ban.createdBy),
+        createdAt: ban.createdAt
+      }))
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'Get bans', '차단 목록 조회 중 오류가 발생했습니다.');
+  }
+};
+
+// 사용자 차단 (until이 없으면 영구 차단)
+exports.banMember = async (req, res) => {
+  try {
+    const room = await findRoom(req, res);
+    if (!room) return;
+
+    const { userId, reason = '', until } = req.body;
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        errors: [{ field: 'userId', message: '차단할 사용자를 지정해주세요.' }]
+      });
+    }
+
+    const { ban } = await RoomService.banMember(room, req.user, String(userId), {
+      reason,
+      until,
+      io: req.app.get('io')
+    });
+
+    res.json({
+      success: true,
+      message: '사용자를 차단했습니다.',
+      ban: {
+        userId: ban.user,
+        reason: ban.reason,
+        expiresAt: ban.expiresAt
+      }
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'Ban member', '사용자 차단 중 오류가 발생했습니다.');
+  }
+};
+
+// 차단 해제
+exports.unbanMember = async (req, res) => {
+  try {
+    const room = await findRoom(req, res);
+    if (!room) return;
+
+    await RoomService.unbanMember(room, req.user, req.params.userId, { io: req.app.get('io') });
+
+    res.json({
+      success: true,
+      message: '차단을 해제했습니다.'
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'Unban member', '차단 해제 중 오류가 발생했습니다.');
+  }
+};
+
+// 채팅 금지 (until 필수)
+exports.muteMember = async (req, res) => {
+  try {
+    const room = await findRoom(req, res);
+    if (!room) return;
+
+    const { reason = '', until } = req.body;
+    const { mute } = await RoomService.muteMember(room, req.user, req.params.userId, {
+      reason,
+      until,
+      io: req.app.get('io')
+    });
+
+    res.json({
+      success: true,
+      message: '채팅을 금지했습니다.',
+      mute: {
+        userId: mute.user,
+        reason: mute.reason,
+        expiresAt: mute.expiresAt
+      }
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'Mute member', '채팅 금지 중 오류가 발생했습니다.');
+  }
+};
+
+// 채팅 금지 해제
+exports.unmuteMember = async (req, res) => {
+  try {
+    const room = await findRoom(req, res);
+    if (!room) return;
+
+    await RoomService.unmuteMember(room, req.user, req.params.userId, { io: req.app.get('io') });
+
+    res.json({
+      success: true,
+      message: '채팅 금지를 해제했습니다.'
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'Unmute member', '채팅 금지 해제 중 오류가 발생했습니다.');
+  }
+};
+
+// 초대 링크 목록 (폐기된 링크 제외)
+exports.getInvites = async (req, res) => {
+  try {
+    const room = await findRoom(req, res);
+    if (!room) return;
+
+    const invites = await RoomInviteService.list(room, req.user);
+
+    res.json({
+      success: true,
+      invites: invites.map(invite => RoomInviteService.formatInvite(invite))
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'Get invites', '초대 링크 목록 조회 중 오류가 발생했습니다.');
+  }
+};
+
+// 초대 링크 생성 (expiresInHours, maxUses 선택)
+exports.createInvite = async (req, res) => {
+  try {
+    const room = await findRoom(req, res);
+    if (!room) return;
+
+    const { expiresInHours, maxUses } = req.body;
+    const invite = await RoomInviteService.create(room, req.user, { expiresInHours, maxUses });
+
+    res.status(201).json({
+      success: true,
+      invite: RoomInviteService.formatInvite(invite)
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'Create invite', '초대 링크 생성 중 오류가 발생했습니다.');
+  }
+};
+
+// 초대 링크 폐기
+exports.revokeInvite = async (req, res) => {
+  try {
+    const room = await findRoom(req, res);
+    if (!room) return;
+
+    await RoomInviteService.revoke(room, req.user, req.params.code);
+
+    res.json({
+      success: true,
+      message: '초대 링크가 폐기되었습니다.'
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'Revoke invite', '초대 링크 폐기 중 오류가 발생했습니다.');
+  }
+};
+
+// 초대 링크 미리보기 (수락 전 채팅방 정보 확인)
+exports.getInvite = async (req, res) => {
+  try {
+    const { invite, room } = await RoomInviteService.findUsable(req.params.code);
+    const profiles = await getRoomProfiles([room]);
+
+    res.json({
+      success: true,
+      invite: {
+        code: invite.code,
+        expiresAt: invite.expiresAt
+      },
+      room: formatRoom(room, req.user, profiles)
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'Get invite', '초대 링크 조회 중 오류가 발생했습니다.');
+  }
+};
+
+// 초대 수락 - 채팅방 멤버로 참가
+exports.acceptInvite = async (req, res) => {
+  try {
+    await EmailVerificationService.assertVerifiedForRooms(req.user.id);
+
+    const { room, alreadyMember } = await RoomInviteService.accept(req.params.code, req.user, {
+      io: req.app.get('io')
+    });
+
+    const profiles = await getRoomProfiles([room], { includeParticipants: true });
+
+    res.json({
+      success: true,
+      message: alreadyMember ? '이미 참가한 채팅방입니다.' : '채팅방에 참가했습니다.',
+      room: formatRoom(room, req.user, profiles, { includeParticipants: true })
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'Accept invite', '초대 수락 중 오류가 발생했습니다.');
+  }
+};
+
+// 내 1:1 대화 목록
+exports.listDirectRooms = async (req, res) => {
+  try {
+    const rooms = await DirectMessageService.list(req.user.id);
+    const profiles = await getRoomProfiles(rooms);
+
+    res.json({
+      success: true,
+      rooms: rooms.map(room => formatRoom(room, req.user, profiles))
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'List direct rooms', '1:1 대화 목록 조회 중 오류가 발생했습니다.');
+  }
+};
+
+// 1:1 대화 시작 - 이미 있으면 기존 대화방 반환
+exports.openDirectRoom = async (req, res) => {
+  try {
+    const { userId } = req.body;
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        errors: [{ field: 'userId', message: '대화 상대를 지정해주세요.' }]
+      });
+    }
+
+    const { room, created } = await DirectMessageService.getOrCreate(req.user, String(userId));
+    const profiles = await getRoomProfiles([room]);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      created,
+      room: formatRoom(room, req.user, profiles)
+    });
+
+  } catch (error) {
+    handleRoomError(res, error, 'Open direct room', '1:1 대화 시작 중 오류가 발생했습니다.');
+  }
+};
@@ -1,127 +1,179 @@
-const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Room = require('../models/Room');
 const {DeleteObjectCommand}=require('@aws-sdk/client-s3');
 const s3= require('../utils/s3Client');
 const ProfileCacheService = require('../services/profileCacheService');
+const TwoFactorService = require('../services/twoFactorService');
+const PasswordPolicy = require('../utils/passwordPolicy');
+const OidcService = require('../services/oidcService');
+const ApiTokenService = require('../services/apiTokenService');
+const ApiToken = require('../models/ApiToken');
+const AccountService = require('../services/accountService');
+const DataExportService = require('../services/dataExportService');
+
+const MAX_SEARCH_PAGE_SIZE = 50;
+const MAX_SEARCH_QUERY_LENGTH = 50;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 조회자와 같은 채팅방의 멤버인 사용자 ID 집합
+const findRoomMemberIds = async (viewerId, userIds) => {
+  if (userIds.length === 0) return new Set();
+
+  const rooms = await Room.find({
+    $and: [
+      { members: viewerId },
+      { members: { $in: userIds } }
+    ]
+  }).select('members').lean();
+
+  const targets = new Set(userIds.map(id => id.toString()));
+  const members = new Set();
+  rooms.forEach(room => {
+    room.members.forEach(member => {
+      const id = member.toString();
+      if (targets.has(id)) members.add(id);
+    });
+  });
+  return members;
+};
 
-// 회원가입
-exports.register = async (req, res) => {
+// 프로필 조회 (ProfileCacheService 사용)
+exports.getProfile = async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const userId = req.user.id;
 
-    // 입력값 검증
-    const validationErrors = [];
+    // ProfileCacheService를 통한 캐시 조회
+    const { profile, fromCache } = await ProfileCacheService.getProfile(userId);
     
-    if (!name || name.trim().length === 0) {
-      validationErrors.push({
-        field: 'name',
-        message: '이름을 입력해주세요.'
-      });
-    } else if (name.length < 2) {
-      validationErrors.push({
-        field: 'name',
-        message: '이름은 2자 이상이어야 합니다.'
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: '사용자를 찾을 수 없습니다.'
       });
     }
 
-    if (!email) {
-      validationErrors.push({
-        field: 'email',
-        message: '이메일을 입력해주세요.'
-      });
-    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-      validationErrors.push({
-        field: 'email',
-        message: '올바른 이메일 형식이 아닙니다.'
-      });
-    }
+    res.json({
+      success: true,
+      user: profile,
+      cached: fromCache // 디버깅용 플래그
+    });
 
-    if (!password) {
-      validationErrors.push({
-        field: 'password',
-        message: '비밀번호를 입력해주세요.'
-      });
-    } else if (password.length < 6) {
-      validationErrors.push({
-        field: 'password',
-        message: '비밀번호는 6자 이상이어야 합니다.'
-      });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: '프로필 조회 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+// 다른 사용자 프로필 조회 - 공개 범위 설정에 따라 필드 제한
+exports.getUserProfile = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId === req.user.id) {
+      return exports.getProfile(req, res);
     }
 
-    if (validationErrors.length > 0) {
-      return res.status(400).json({
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(404).json({
         success: false,
-        errors: validationErrors
+        message: '사용자를 찾을 수 없습니다.'
       });
     }
 
-    // 사용자 중복 확인
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(409).json({
+    const roomMembers = await findRoomMemberIds(req.user.id, [userId]);
+    const audience = roomMembers.has(userId) ? 'room_members' : 'everyone';
+    const { profile, fromCache } = await ProfileCacheService.getProfile(userId, { audience });
+
+    if (!profile) {
+      return res.status(404).json({
         success: false,
-        message: '이미 가입된 이메일입니다.'
+        message: '사용자를 찾을 수 없습니다.'
       });
     }
 
-    // 비밀번호 암호화 및 사용자 생성
-    const newUser = new User({ 
-      name, 
-      email, 
-      password,
-      profileImage: '' // 기본 프로필 이미지 없음
-    });
-
-    const salt = await bcrypt.genSalt(10);
-    newUser.password = await bcrypt.hash(password, salt);
-    await newUser.save();
-
-    res.status(201).json({
+    res.json({
       success: true,
-      message: '회원가입이 완료되었습니다.',
-      user: {
-        id: newUser._id,
-        name: newUser.name,
-        email: newUser.email,
-        profileImage: newUser.profileImage
-      }
+      user: profile,
+      cached: fromCache
     });
 
   } catch (error) {
-    console.error('Registration error:', error);
+    console.error('Get user profile error:', error);
     res.status(500).json({
       success: false,
-      message: '회원가입 처리 중 오류가 발생했습니다.'
+      message: '프로필 조회 중 오류가 발생했습니다.'
     });
   }
 };
 
-// 프로필 조회 (ProfileCacheService 사용)
-exports.getProfile = async (req, res) => {
+// 사용자 검색 (이름/핸들 접두어 검색) - 멘션 자동완성, 초대 대상 선택용
+// 본인, 정지된 사용자, 탈퇴 예정 사용자는 제외
+exports.searchUsers = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const rawQuery = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const handleOnly = rawQuery.startsWith('@');
+    const q = handleOnly ? rawQuery.slice(1) : rawQuery;
 
-    // ProfileCacheService를 통한 캐시 조회
-    const { profile, fromCache } = await ProfileCacheService.getProfile(userId);
-    
-    if (!profile) {
-      return res.status(404).json({
+    if (!q || q.length > MAX_SEARCH_QUERY_LENGTH) {
+      return res.status(400).json({
         success: false,
-        message: '사용자를 찾을 수 없습니다.'
+        errors: [{ field: 'q', message: `검색어는 1자 이상 ${MAX_SEARCH_QUERY_LENGTH}자 이하로 입력해주세요.` }]
       });
     }
 
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_SEARCH_PAGE_SIZE);
+    const now = new Date();
+
+    const handlePattern = new RegExp(`^${escapeRegex(q.toLowerCase())}`);
+    const filter = {
+      _id: { $ne: req.user.id },
+      deletionScheduledFor: null,
+      $and: [
+        { $or: [{ suspendedAt: null }, { suspendedUntil: { $ne: null, $lte: now } }] },
+        handleOnly
+          ? { handle: handlePattern }
+          : { $or: [{ name: new RegExp(`^${escapeRegex(q)}`, 'i') }, { handle: handlePattern }] }
+      ]
+    };
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('-password')
+        .sort({ name: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter)
+    ]);
+
+    const roomMembers = await findRoomMemberIds(req.user.id, users.map(user => user._id));
+
     res.json({
       success: true,
-      user: profile,
-      cached: fromCache // 디버깅용 플래그
+      users: users.map(user => ProfileCacheService.formatProfile(
+        user,
+        roomMembers.has(user._id.toString()) ? 'room_members' : 'everyone'
+      )),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: page * limit < total
+      }
     });
 
   } catch (error) {
-    console.error('Get profile error:', error);
+    console.error('Search users error:', error);
     res.status(500).json({
       success: false,
-      message: '프로필 조회 중 오류가 발생했습니다.'
+      message: '사용자 검색 중 오류가 발생했습니다.'
     });
   }
 };
@@ -129,13 +181,51 @@ exports.getProfile = async (req, res) => {
 // 프로필 업데이트 (ProfileCacheService 사용)
 exports.updateProfile = async (req, res) => {
   try {
-    const { name } = req.body;
+    const { name, profileVisibility } = req.body;
     const userId = req.user.id;
 
-    if (!name || name.trim().length === 0) {
+    const updates = {};
+    if (name !== undefined) {
+      if (typeof name !== 'string' || name.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: '이름을 입력해주세요.'
+        });
+      }
+      updates.name = name.trim();
+    }
+
+    const errors = [];
+    User.PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] === undefined) return;
+      if (req.body[field] !== null && typeof req.body[field] !== 'string') {
+        errors.push({ field, message: '문자열 값이어야 합니다.' });
+        return;
+      }
+      updates[field] = req.body[field] || '';
+    });
+
+    if (profileVisibility !== undefined) {
+      if (!profileVisibility || typeof profileVisibility !== 'object' || Array.isArray(profileVisibility)) {
+        errors.push({ field: 'profileVisibility', message: '공개 범위 설정 형식이 올바르지 않습니다.' });
+      } else {
+        Object.keys(profileVisibility).forEach(field => {
+          if (!User.PROFILE_FIELDS.includes(field)) {
+            errors.push({ field: `profileVisibility.${field}`, message: '공개 범위를 설정할 수 없는 항목입니다.' });
+          }
+        });
+        updates.profileVisibility = profileVisibility;
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    if (Object.keys(updates).length === 0) {
       return res.status(400).json({
         success: false,
-        message: '이름을 입력해주세요.'
+        message: '변경할 프로필 정보가 없습니다.'
       });
     }
 
@@ -147,8 +237,7 @@ exports.updateProfile = async (req, res) => {
       });
     }
 
-    user.name = name.trim();
-    await user.save();
+    await user.updateProfile(updates);
 
     // ProfileCacheService를 통한 캐시 업데이트
     const updatedProfile = await ProfileCacheService.updateProfile(userId, user);
@@ -161,6 +250,24 @@ exports.updateProfile = async (req, res) => {
 
   } catch (error) {
     console.error('Update profile error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    if (error.code === 11000 && error.keyPattern?.handle) {
+      return res.status(409).json({
+        success: false,
+        errors: [{ field: 'handle', message: '이미 사용 중인 핸들입니다.' }]
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: '프로필 업데이트 중 오류가 발생했습니다.'
@@ -173,6 +280,15 @@ exports.changePassword = async (req, res) => {
   try {
     const { currentPassword, newPassword, confirmPassword } = req.body;
 
+    // 사용자 조회
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: '사용자를 찾을 수 없습니다.'
+      });
+    }
+
     // 입력값 검증
     const validationErrors = [];
 
@@ -188,11 +304,12 @@ exports.changePassword = async (req, res) => {
         field: 'newPassword',
         message: '새 비밀번호를 입력해주세요.'
       });
-    } else if (newPassword.length < 6) {
-      validationErrors.push({
-        field: 'newPassword',
-        message: '새 비밀번호는 6자 이상이어야 합니다.'
-      });
+    } else {
+      validationErrors.push(...PasswordPolicy.validate(newPassword, {
+        name: user.name,
+        email: user.email,
+        field: 'newPassword'
+      }));
     }
 
     if (!confirmPassword) {
@@ -223,15 +340,6 @@ exports.changePassword = async (req, res) => {
       });
     }
 
-    // 사용자 조회
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: '사용자를 찾을 수 없습니다.'
-      });
-    }
-
     // 현재 비밀번호 확인
     const isCurrentPasswordValid = await user.matchPassword(currentPassword);
     if (!isCurrentPasswordValid) {
@@ -346,31 +454,32 @@ exports.deleteProfileImage = async (req, res) => {
   }
 };
 
-// 회원 탈퇴 (ProfileCacheService 사용)
+// 회원 탈퇴 요청 - 유예 기간 후 삭제 (유예 기간이 0이면 즉시 삭제)
 exports.deleteAccount = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const user = await User.findById(userId);
+    const user = await User.findById(req.user.id);
     if (!user) return res.status(404).json({ success: false, message: '사용자를 찾을 수 없습니다.' });
 
-    if (user.profileImage) {
-      const key = user.profileImage.replace(/^.*\/uploads\//, 'uploads/');
-      try {
-        await s3.send(new DeleteObjectCommand({
-          Bucket: process.env.AWS_S3_BUCKET_NAME,
-          Key: key
-        }));
-      } catch (error) {
-        console.error('Profile image delete error:', error);
-      }
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        code: 'DELETION_ALREADY_SCHEDULED',
+        message: '이미 탈퇴가 예약되어 있습니다.',
+        scheduledFor: user.deletionScheduledFor
+      });
     }
 
-    await user.deleteOne();
+    const result = await AccountService.scheduleDeletion(user, { io: req.app.get('io') });
 
-    // ProfileCacheService를 통한 캐시 무효화
-    await ProfileCacheService.invalidateProfile(userId);
+    if (result.deleted) {
+      return res.json({ success: true, message: '회원 탈퇴가 완료되었습니다.' });
+    }
 
-    res.json({ success: true, message: '회원 탈퇴가 완료되었습니다.' });
+    res.json({
+      success: true,
+      message: '회원 탈퇴가 예약되었습니다. 삭제 예정일 전까지 취소할 수 있습니다.',
+      scheduledFor: result.scheduledFor
+    });
 
   } catch (error) {
     console.error('Delete account error:', error);
@@ -378,4 +487,459 @@ exports.deleteAccount = async (req, res) => {
   }
 };
 
+// 회원 탈퇴 예약 취소
+exports.cancelAccountDeletion = async (req, res) => {
+  try {
+    const cancelled = await AccountService.cancelDeletion(req.user.id);
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        code: 'DELETION_NOT_SCHEDULED',
+        message: '예약된 탈퇴 요청이 없습니다.'
+      });
+    }
+
+    res.json({ success: true, message: '회원 탈퇴 예약이 취소되었습니다.' });
+
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ success: false, message: '탈퇴 예약 취소 중 오류가 발생했습니다.' });
+  }
+};
+
+// 2단계 인증 설정 시작
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: '사용자를 찾을 수 없습니다.' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: '이미 2단계 인증이 활성화되어 있습니다.'
+      });
+    }
+
+    const { secret, otpauthUrl } = await TwoFactorService.createSetup(user._id);
+
+    res.json({
+      success: true,
+      message: '인증 앱에 등록한 후 생성된 코드로 설정을 완료해주세요.',
+      secret,
+      otpauthUrl
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ success: false, message: '2단계 인증 설정 중 오류가 발생했습니다.' });
+  }
+};
+
+// 2단계 인증 코드 확인 및 활성화
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        errors: [{
+          field: 'code',
+          message: '인증 코드를 입력해주세요.'
+        }]
+      });
+    }
+
+    const result = await TwoFactorService.enable(req.user.id, code);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        code: result.error,
+        message: result.message
+      });
+    }
+
+    await ProfileCacheService.invalidateProfile(req.user.id);
+
+    res.json({
+      success: true,
+      message: '2단계 인증이 활성화되었습니다. 복구 코드를 안전한 곳에 보관해주세요.',
+      recoveryCodes: result.recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({ success: false, message: '2단계 인증 활성화 중 오류가 발생했습니다.' });
+  }
+};
+
+// 2단계 인증 해제 (비밀번호와 인증 코드 모두 필요)
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const validationErrors = [];
+
+    if (!password) {
+      validationErrors.push({
+        field: 'password',
+        message: '비밀번호를 입력해주세요.'
+      });
+    }
+
+    if (!code && !recoveryCode) {
+      validationErrors.push({
+        field: 'code',
+        message: '인증 코드 또는 복구 코드를 입력해주세요.'
+      });
+    }
+
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors: validationErrors
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: '사용자를 찾을 수 없습니다.' });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: '2단계 인증이 활성화되어 있지 않습니다.'
+      });
+    }
+
+    const isPasswordValid = await user.matchPassword(password);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: '비밀번호가 올바르지 않습니다.',
+        errors: [{
+          field: 'password',
+          message: '비밀번호가 올바르지 않습니다.'
+        }]
+      });
+    }
+
+    const isCodeValid = await TwoFactorService.verifyCode(user._id, { code, recoveryCode });
+    if (!isCodeValid) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_TWO_FACTOR_CODE',
+        message: '인증 코드가 올바르지 않습니다.'
+      });
+    }
+
+    await TwoFactorService.disable(user._id);
+    await ProfileCacheService.invalidateProfile(user._id);
+
+    res.json({
+      success: true,
+      message: '2단계 인증이 해제되었습니다.'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ success: false, message: '2단계 인증 해제 중 오류가 발생했습니다.' });
+  }
+};
+
+// 연결된 외부 계정 목록
+exports.getIdentities = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('identities passwordSet');
+    if (!user) {
+      return res.status(404).json({ success: false, message: '사용자를 찾을 수 없습니다.' });
+    }
+
+    res.json({
+      success: true,
+      identities: OidcService.formatIdentities(user),
+      passwordSet: user.passwordSet !== false
+    });
+
+  } catch (error) {
+    console.error('Get identities error:', error);
+    res.status(500).json({ success: false, message: '연결된 계정 조회 중 오류가 발생했습니다.' });
+  }
+};
+
+// 외부 계정 연결 시작 (인가 URL 발급, 완료는 /api/users/identities/:provider/callback)
+exports.linkIdentity = async (req, res) => {
+  try {
+    const request = await OidcService.createAuthorizationRequest(req.params.provider, {
+      mode: 'link',
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      authorizationUrl: request.authorizationUrl,
+      expiresIn: request.expiresIn
+    });
+
+  } catch (error) {
+    console.error('Link identity error:', error);
+
+    if (error.isOidcError) {
+      return res.status(error.status).json({ success: false, code: error.code, message: error.message });
+    }
+
+    res.status(500).json({ success: false, message: '외부 계정 연결 중 오류가 발생했습니다.' });
+  }
+};
+
+// 외부 계정 연결 완료 (연결을 시작한 사용자 본인만 가능)
+exports.completeIdentityLink = async (req, res) => {
+  try {
+    const { code, state } = req.body;
+    const { claims } = await OidcService.handleCallback(req.params.provider, { code, state }, {
+      mode: 'link',
+      userId: req.user.id
+    });
+
+    const identity = await OidcService.linkIdentity(req.user.id, req.params.provider, claims);
+    await ProfileCacheService.invalidateProfile(req.user.id);
+
+    res.json({
+      success: true,
+      message: '외부 계정이 연결되었습니다.',
+      identity: {
+        provider: identity.provider,
+        email: identity.email,
+        linkedAt: identity.linkedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Complete identity link error:', error);
+
+    if (error.isOidcError) {
+      return res.status(error.status).json({ success: false, code: error.code, message: error.message });
+    }
+
+    res.status(500).json({ success: false, message: '외부 계정 연결 중 오류가 발생했습니다.' });
+  }
+};
+
+// 외부 계정 연결 해제
+exports.unlinkIdentity = async (req, res) => {
+  try {
+    await OidcService.unlinkIdentity(req.user.id, req.params.provider);
+    await ProfileCacheService.invalidateProfile(req.user.id);
+
+    res.json({ success: true, message: '외부 계정 연결이 해제되었습니다.' });
+
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+
+    if (error.isOidcError) {
+      return res.status(error.status).json({ success: false, code: error.code, message: error.message });
+    }
+
+    res.status(500).json({ success: false, message: '외부 계정 연결 해제 중 오류가 발생했습니다.' });
+  }
+};
+
+// API 토큰 입력값 검증
+const validateApiTokenInput = ({ name, scopes, expiresInDays }, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.push({ field: 'name', message: '토큰 이름을 입력해주세요.' });
+    } else if (name.trim().length > 50) {
+      errors.push({ field: 'name', message: '토큰 이름은 50자를 초과할 수 없습니다.' });
+    }
+  }
+
+  if (!partial || scopes !== undefined) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      errors.push({ field: 'scopes', message: '하나 이상의 권한 범위를 선택해주세요.' });
+    } else {
+      const invalid = scopes.filter(scope => !ApiToken.SCOPES.includes(scope));
+      if (invalid.length > 0) {
+        errors.push({ field: 'scopes', message: `지원하지 않는 권한 범위입니다: ${invalid.join(', ')}` });
+      }
+    }
+  }
+
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 365) {
+      errors.push({ field: 'expiresInDays', message: '만료 기간은 1일에서 365일 사이여야 합니다.' });
+    }
+  }
+
+  return errors;
+};
+
+// API 토큰 목록 조회
+exports.getApiTokens = async (req, res) => {
+  try {
+    const tokens = await ApiTokenService.list(req.user.id);
+
+    res.json({
+      success: true,
+      tokens,
+      availableScopes: ApiToken.SCOPES
+    });
+
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    res.status(500).json({ success: false, message: 'API 토큰 목록 조회 중 오류가 발생했습니다.' });
+  }
+};
+
+// API 토큰 생성 (평문 토큰은 생성 시 한 번만 반환)
+exports.createApiToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const errors = validateApiTokenInput({ name, scopes, expiresInDays });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const { token, apiToken } = await ApiTokenService.create(req.user.id, {
+      name: name.trim(),
+      scopes,
+      expiresInDays
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API 토큰이 생성되었습니다. 이 토큰은 다시 확인할 수 없으니 안전한 곳에 보관해주세요.',
+      token,
+      apiToken
+    });
+
+  } catch (error) {
+    console.error('Create API token error:', error);
+
+    if (error.code === 'TOKEN_LIMIT_EXCEEDED') {
+      return res.status(400).json({ success: false, code: error.code, message: error.message });
+    }
+
+    res.status(500).json({ success: false, message: 'API 토큰 생성 중 오류가 발생했습니다.' });
+  }
+};
+
+// API 토큰 이름/권한 범위 수정
+exports.updateApiToken = async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+
+    const errors = validateApiTokenInput({ name, scopes }, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const apiToken = await ApiTokenService.update(req.user.id, req.params.tokenId, {
+      name: name?.trim(),
+      scopes
+    });
+    if (!apiToken) {
+      return res.status(404).json({ success: false, message: 'API 토큰을 찾을 수 없습니다.' });
+    }
+
+    res.json({ success: true, message: 'API 토큰이 수정되었습니다.', apiToken });
+
+  } catch (error) {
+    console.error('Update API token error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({ success: false, message: 'API 토큰을 찾을 수 없습니다.' });
+    }
+
+    res.status(500).json({ success: false, message: 'API 토큰 수정 중 오류가 발생했습니다.' });
+  }
+};
+
+// API 토큰 폐기
+exports.revokeApiToken = async (req, res) => {
+  try {
+    const revoked = await ApiTokenService.revoke(req.user.id, req.params.tokenId);
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: 'API 토큰을 찾을 수 없습니다.' });
+    }
+
+    res.json({ success: true, message: 'API 토큰이 폐기되었습니다.' });
+
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({ success: false, message: 'API 토큰을 찾을 수 없습니다.' });
+    }
+
+    res.status(500).json({ success: false, message: 'API 토큰 폐기 중 오류가 발생했습니다.' });
+  }
+};
+
+// 개인정보 내보내기 요청 (백그라운드에서 생성)
+exports.requestDataExport = async (req, res) => {
+  try {
+    const { job, created } = await DataExportService.requestExport(req.user.id);
+
+    res.status(created ? 202 : 200).json({
+      success: true,
+      message: created
+        ? '데이터 내보내기를 시작했습니다. 완료되면 다운로드할 수 있습니다.'
+        : '이미 요청된 데이터 내보내기가 있습니다.',
+      export: DataExportService.formatJob(job)
+    });
+
+  } catch (error) {
+    console.error('Request data export error:', error);
+    res.status(500).json({ success: false, message: '데이터 내보내기 요청 중 오류가 발생했습니다.' });
+  }
+};
+
+// 개인정보 내보내기 진행 상태 조회
+exports.getDataExport = async (req, res) => {
+  try {
+    const job = await DataExportService.getJobForUser(req.params.exportId, req.user.id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: '내보내기 요청을 찾을 수 없습니다.' });
+    }
+
+    res.json({ success: true, export: DataExportService.formatJob(job) });
+
+  } catch (error) {
+    console.error('Get data export error:', error);
+    res.status(500).json({ success: false, message: '데이터 내보내기 상태 조회 중 오류가 발생했습니다.' });
+  }
+};
+
+// 완료된 내보내기 파일 다운로드
+exports.downloadDataExport = async (req, res) => {
+  try {
+    const job = await DataExportService.getJobForUser(req.params.exportId, req.user.id);
+    if (!job || job.status !== 'completed') {
+      return res.status(404).json({ success: false, message: '다운로드할 수 있는 파일이 없습니다.' });
+    }
+
+    res.download(
+      DataExportService.getFilePath(job),
+      `bootcampchat-export-${job.createdAt.slice(0, 10)}.json.gz`,
+      (error) => {
+        if (error && !res.headersSent) {
+          console.error('Download data export error:', error);
+          res.status(404).json({ success: false, message: '내보내기 파일이 만료되었습니다.' });
+        }
+      }
+    );
+
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json({ success: false, message: '파일 다운로드 중 오류가 발생했습니다.' });
+  }
+};
+
 module.exports = exports;
\ No newline at end of file
@@ -1,11 +1,53 @@
 // backend/middleware/auth.js
 
-const jwt = require('jsonwebtoken');
-const { jwtSecret } = require('../config/keys');
 const SessionService = require('../services/sessionService');
+const TokenService = require('../services/tokenService');
+const ApiTokenService = require('../services/apiTokenService');
+const SuspensionService = require('../services/suspensionService');
+const Roles = require('../utils/roles');
+
+// Authorization: Bearer <token> 또는 x-api-token 헤더의 개인 API 토큰 추출
+const getApiToken = (req) => {
+  const header = req.header('authorization') || '';
+  const [scheme, value] = header.split(' ');
+  if (scheme?.toLowerCase() === 'bearer' && ApiTokenService.isApiToken(value)) {
+    return value;
+  }
+
+  const apiToken = req.header('x-api-token');
+  return ApiTokenService.isApiToken(apiToken) ? apiToken : null;
+};
+
+const rejectSuspended = (res) => res.status(403).json({
+  success: false,
+  code: 'ACCOUNT_SUSPENDED',
+  message: '정지된 계정입니다.'
+});
 
 const auth = async (req, res, next) => {
   try {
+    // 개인 API 토큰은 세션 없이 단독으로 인증
+    const apiToken = getApiToken(req);
+    if (apiToken) {
+      const result = await ApiTokenService.authenticate(apiToken, req.ip);
+      if (!result) {
+        return res.status(401).json({
+          success: false,
+          code: 'INVALID_API_TOKEN',
+          message: '유효하지 않거나 만료된 API 토큰입니다.'
+        });
+      }
+
+      if (result.user.isSuspended()) {
+        return rejectSuspended(res);
+      }
+
+      req.user = { id: result.user._id.toString(), role: Roles.normalize(result.user.role) };
+      req.authType = 'api_token';
+      req.apiToken = { id: result.tokenId, scopes: result.scopes };
+      return next();
+    }
+
     // 헤더 또는 쿼리 파라미터에서 토큰과 세션ID 가져오기
     const token = req.header('x-auth-token') || req.query.token;
     const sessionId = req.header('x-session-id') || req.query.sessionId;
@@ -19,8 +61,34 @@ const auth = async (req, res, next) => {
 
     try {
       // 토큰 검증
-      const decoded = jwt.verify(token, jwtSecret);
-      req.user = decoded.user;
+      const decoded = TokenService.verifyAccessToken(token);
+
+      // 로그아웃 등으로 폐기된 토큰 거부
+      if (await TokenService.isAccessTokenRevoked(decoded)) {
+        return res.status(401).json({
+          success: false,
+          code: 'TOKEN_REVOKED',
+          message: '폐기된 토큰입니다. 다시 로그인해주세요.'
+        });
+      }
+
+      // 토큰이 발급된 세션과 요청의 세션이 같은지 확인 (종료된 세션의 토큰을 다른 세션 ID로 재사용 방지)
+      if (decoded.sessionId !== sessionId) {
+        return res.status(401).json({
+          success: false,
+          code: 'INVALID_SESSION',
+          message: '세션 정보가 일치하지 않습니다.'
+        });
+      }
+
+      if (await SuspensionService.isSuspended(decoded.user.id)) {
+        return rejectSuspended(res);
+      }
+
+      req.user = { ...decoded.user, role: Roles.normalize(decoded.user.role) };
+      req.sessionId = sessionId;
+      req.authType = 'session';
+      req.tokenPayload = decoded;
 
       // 세션 검증
       const validationResult = await SessionService.validateSession(decoded.user.id, sessionId);
@@ -38,6 +106,7 @@ const auth = async (req, res, next) => {
       if (err.name === 'TokenExpiredError') {
         return res.status(401).json({
           success: false,
+          code: 'TOKEN_EXPIRED',
           message: '토큰이 만료되었습니다.'
         });
       }
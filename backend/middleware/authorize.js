@@ -0,0 +1,29 @@
+// backend/middleware/authorize.js
+
+const Roles = require('../utils/roles');
+
+const forbidden = (res, message) => res.status(403).json({
+  success: false,
+  code: 'FORBIDDEN',
+  message
+});
+
+// 지정한 역할 중 하나 이상(상위 역할 포함)을 가진 사용자만 허용 (auth 미들웨어 이후에 사용)
+const requireRole = (...roles) => (req, res, next) => {
+  const role = req.user?.role;
+  if (!roles.some(required => Roles.hasRole(role, required))) {
+    return forbidden(res, '이 작업을 수행할 권한이 없습니다.');
+  }
+  next();
+};
+
+// 역할에 지정한 권한이 모두 포함된 사용자만 허용
+const requirePermission = (...permissions) => (req, res, next) => {
+  const role = req.user?.role;
+  if (!permissions.every(permission => Roles.hasPermission(role, permission))) {
+    return forbidden(res, '이 작업을 수행할 권한이 없습니다.');
+  }
+  next();
+};
+
+module.exports = { requireRole, requirePermission };
@@ -0,0 +1,37 @@
+// backend/middleware/rateLimiter.js
+
+const { rateLimit } = require('express-rate-limit');
+
+// 응답 형식을 다른 API 에러와 맞추기 위한 공통 핸들러
+const createLimiter = ({ windowMs, limit, message }) => rateLimit({
+  windowMs,
+  limit,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    res.status(options.statusCode).json({
+      success: false,
+      code: 'TOO_MANY_REQUESTS',
+      message
+    });
+  }
+});
+
+// 로그인 관련 요청 (IP 기준, 실패 횟수와 별개로 전체 요청 수 제한)
+const loginLimiter = createLimiter({
+  windowMs: 15 * 60 * 1000,
+  limit: 100,
+  message: '로그인 요청이 너무 많습니다. 잠시 후 다시 시도해주세요.'
+});
+
+// 메일 발송이 포함된 요청
+const mailLimiter = createLimiter({
+  windowMs: 60 * 60 * 1000,
+  limit: 10,
+  message: '요청이 너무 많습니다. 잠시 후 다시 시도해주세요.'
+});
+
+module.exports = {
+  loginLimiter,
+  mailLimiter
+};
@@ -0,0 +1,36 @@
+// backend/middleware/tokenScope.js
+
+// 개인 API 토큰으로 인증된 요청의 권한 범위 확인
+// 세션(로그인)으로 인증된 요청은 모든 범위를 가진 것으로 취급
+const requireScope = (...scopes) => (req, res, next) => {
+  if (req.authType !== 'api_token') {
+    return next();
+  }
+
+  const granted = req.apiToken?.scopes || [];
+  const missing = scopes.filter(scope => !granted.includes(scope));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      code: 'INSUFFICIENT_SCOPE',
+      message: `API 토큰에 필요한 권한이 없습니다: ${missing.join(', ')}`
+    });
+  }
+
+  next();
+};
+
+// 비밀번호, 2단계 인증, 토큰 관리 등 계정 보안 작업은 로그인 세션으로만 허용
+const requireSessionAuth = (req, res, next) => {
+  if (req.authType === 'api_token') {
+    return res.status(403).json({
+      success: false,
+      code: 'SESSION_REQUIRED',
+      message: '이 작업은 API 토큰으로 수행할 수 없습니다. 로그인 후 다시 시도해주세요.'
+    });
+  }
+
+  next();
+};
+
+module.exports = { requireScope, requireSessionAuth };
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const API_TOKEN_SCOPES = [
+  'profile:read',
+  'profile:write',
+  'rooms:read',
+  'rooms:write',
+  'messages:read',
+  'messages:write',
+  'files:read',
+  'files:write'
+];
+
+const ApiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, '토큰 이름은 필수입니다.'],
+    trim: true,
+    maxlength: [50, '토큰 이름은 50자를 초과할 수 없습니다.']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // 목록에서 토큰을 구분하기 위한 앞부분 (전체 토큰은 저장하지 않음)
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: {
+      values: API_TOKEN_SCOPES,
+      message: '지원하지 않는 권한 범위입니다: {VALUE}'
+    }
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ApiTokenSchema.methods.isExpired = function() {
+  return !!this.expiresAt && this.expiresAt.getTime() <= Date.now();
+};
+
+ApiTokenSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  delete obj.tokenHash;
+  return obj;
+};
+
+ApiTokenSchema.statics.SCOPES = API_TOKEN_SCOPES;
+
+module.exports = mongoose.model('ApiToken', ApiTokenSchema);
@@ -99,6 +99,22 @@ MessageSchema.index({ type: 1 });
 MessageSchema.index({ timestamp: -1 });
 MessageSchema.index({ 'reactions.userId': 1 });
 
+// 특정 사용자가 리액션을 남긴 메시지 조건 (리액션 맵의 키가 이모지이므로 값 배열을 합쳐서 확인)
+MessageSchema.statics.reactedByFilter = function(userId) {
+  const id = new mongoose.Types.ObjectId(userId.toString());
+  return {
+    $expr: {
+      $in: [id, {
+        $reduce: {
+          input: { $objectToArray: { $ifNull: ['$reactions', {}] } },
+          initialValue: [],
+          in: { $concatArrays: ['$$value', '$$this.v'] }
+        }
+      }]
+    }
+  };
+};
+
 // 읽음 처리 Static 메소드 개선
 MessageSchema.statics.markAsRead = async function(messageIds, userId) {
   if (!messageIds?.length || !userId) return;
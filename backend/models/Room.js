@@ -1,6 +1,36 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const ROOM_VISIBILITY = ['public', 'invite_only'];
+const ROOM_TYPES = ['group', 'direct'];
+
+// 차단/채팅 금지 기록
+const RestrictionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const RoomSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -16,6 +46,22 @@ const RoomSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // group: 일반 채팅방, direct: 두 사용자 간 1:1 대화 (members에 두 사용자만 포함)
+  type: {
+    type: String,
+    enum: ROOM_TYPES,
+    default: 'group'
+  },
+  // 1:1 대화 중복 생성 방지용 키 (정렬한 두 사용자 ID)
+  directKey: {
+    type: String
+  },
+  // public: 누구나 입장 가능, invite_only: 초대 링크로 참가한 멤버만 입장 가능
+  visibility: {
+    type: String,
+    enum: ROOM_VISIBILITY,
+    default: 'public'
+  },
   password: {
     type: String,
     select: false
@@ -27,7 +73,21 @@ const RoomSchema = new mongoose.Schema({
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  // 입장 권한이 있는 사용자 (participants는 현재 접속 중인 참가자라 퇴장 시 제거됨)
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // 채팅방 관리자 (방장은 creator)
+  moderators: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // 차단 목록 (expiresAt이 없으면 영구 차단)
+  bans: [RestrictionSchema],
+  // 채팅 금지 목록 (expiresAt 필수)
+  mutes: [RestrictionSchema]
 });
 
 // 비밀번호 해싱 미들웨어
@@ -37,7 +97,8 @@ RoomSchema.pre('save', async function(next) {
     this.password = await bcrypt.hash(this.password, salt);
     this.hasPassword = true;
   }
-  if (!this.password) {
+  // password는 select: false라 조회한 문서에는 값이 없으므로 변경된 경우에만 해제
+  if (this.isModified('password') && !this.password) {
     this.hasPassword = false;
   }
   next();
@@ -50,4 +111,15 @@ RoomSchema.methods.checkPassword = async function(password) {
   return await bcrypt.compare(password, room.password);
 };
 
+RoomSchema.index({ directKey: 1 }, { unique: true, sparse: true });
+RoomSchema.index({ type: 1, members: 1 });
+
+RoomSchema.statics.VISIBILITY = ROOM_VISIBILITY;
+RoomSchema.statics.TYPES = ROOM_TYPES;
+
+// 두 사용자의 1:1 대화 키 (순서와 무관하게 같은 값)
+RoomSchema.statics.getDirectKey = function(userId, otherUserId) {
+  return [userId.toString(), otherUserId.toString()].sort().join(':');
+};
+
 module.exports = mongoose.model('Room', RoomSchema);
\ No newline at end of file
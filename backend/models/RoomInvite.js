@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const RoomInviteSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // null이면 만료 없음
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // null이면 사용 횟수 제한 없음
+  maxUses: {
+    type: Number,
+    default: null,
+    min: [1, '최대 사용 횟수는 1 이상이어야 합니다.']
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 초대 링크 사용 가능 여부 (폐기, 만료, 사용 횟수 초과 확인)
+RoomInviteSchema.methods.isUsable = function() {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt.getTime() <= Date.now()) return false;
+  if (this.maxUses !== null && this.maxUses !== undefined && this.uses >= this.maxUses) return false;
+  return true;
+};
+
+module.exports = mongoose.model('RoomInvite', RoomInviteSchema);
@@ -2,6 +2,40 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const { encryptionKey, passwordSalt } = require('../config/keys');
 const crypto = require('crypto');
+const PasswordPolicy = require('../utils/passwordPolicy');
+const Roles = require('../utils/roles');
+
+// 프로필 추가 정보와 공개 범위 (everyone: 모두, room_members: 같은 채팅방 참여자, nobody: 본인만)
+const PROFILE_VISIBILITY = ['everyone', 'room_members', 'nobody'];
+const PROFILE_FIELDS = ['handle', 'bio', 'statusMessage', 'timezone', 'locale', 'pronouns'];
+const RESERVED_HANDLES = ['admin', 'administrator', 'system', 'support', 'everyone', 'here', 'wayneai', 'consultingai'];
+
+const visibilitySetting = {
+  type: String,
+  enum: {
+    values: PROFILE_VISIBILITY,
+    message: '공개 범위는 everyone, room_members, nobody 중 하나여야 합니다.'
+  },
+  default: 'everyone'
+};
+
+const isValidTimezone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const canonicalizeLocale = (value) => {
+  if (!value) return value;
+  try {
+    return Intl.getCanonicalLocales(value.trim())[0];
+  } catch {
+    return value;
+  }
+};
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -29,13 +63,163 @@ const UserSchema = new mongoose.Schema({
   password: {
     type: String,
     required: [true, '비밀번호는 필수 입력 항목입니다.'],
-    minlength: [6, '비밀번호는 6자 이상이어야 합니다.'],
+    validate: {
+      // 해싱 전 평문 비밀번호가 새로 설정된 경우에만 정책 검증
+      // (외부 로그인 계정의 임의 비밀번호는 로그인에 쓰이지 않으므로 제외)
+      validator: function(value) {
+        if (!this.isModified('password') || this.passwordSet === false) return true;
+
+        const [policyError] = PasswordPolicy.validate(value, { name: this.name, email: this.email });
+        if (policyError) {
+          throw new Error(policyError.message);
+        }
+        return true;
+      },
+      message: props => props.reason?.message || '비밀번호 정책을 만족하지 않습니다.'
+    },
     select: false
   },
   profileImage: {
     type: String,
     default: ''
   },
+  handle: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    set: value => (typeof value === 'string' ? value.trim().replace(/^@/, '') : value),
+    match: [/^[a-z0-9_]{3,20}$/, '핸들은 3~20자의 영문 소문자, 숫자, 밑줄(_)만 사용할 수 있습니다.'],
+    validate: {
+      validator: value => !RESERVED_HANDLES.includes(value),
+      message: '사용할 수 없는 핸들입니다.'
+    }
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [300, '자기소개는 300자를 초과할 수 없습니다.'],
+    default: ''
+  },
+  statusMessage: {
+    type: String,
+    trim: true,
+    maxlength: [100, '상태 메시지는 100자를 초과할 수 없습니다.'],
+    default: ''
+  },
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: value => !value || isValidTimezone(value),
+      message: '올바른 시간대가 아닙니다. (예: Asia/Seoul)'
+    },
+    default: ''
+  },
+  locale: {
+    type: String,
+    set: canonicalizeLocale,
+    validate: {
+      validator: value => !value || Intl.getCanonicalLocales(value).length === 1,
+      message: '올바른 언어 코드가 아닙니다. (예: ko-KR)'
+    },
+    default: ''
+  },
+  pronouns: {
+    type: String,
+    trim: true,
+    maxlength: [30, '호칭은 30자를 초과할 수 없습니다.'],
+    default: ''
+  },
+  profileVisibility: {
+    handle: visibilitySetting,
+    bio: visibilitySetting,
+    statusMessage: visibilitySetting,
+    timezone: visibilitySetting,
+    locale: visibilitySetting,
+    pronouns: visibilitySetting
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  passwordSet: {
+    type: Boolean,
+    default: true
+  },
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  role: {
+    type: String,
+    enum: {
+      values: Roles.ROLES,
+      message: '지원하지 않는 역할입니다: {VALUE}'
+    },
+    default: Roles.DEFAULT_ROLE,
+    index: true
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // 계정 정지 (suspendedUntil이 없으면 해제 전까지 정지)
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspendedUntil: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, '정지 사유는 500자를 초과할 수 없습니다.'],
+    default: ''
+  },
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // 탈퇴 예약 (deletionScheduledFor 이후 계정과 관련 데이터 삭제)
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null,
+    index: true
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -102,6 +286,12 @@ UserSchema.methods.generateVerificationToken = function() {
   return token;
 };
 
+// 계정 정지 여부 (기간이 지난 임시 정지는 해제된 것으로 취급)
+UserSchema.methods.isSuspended = function() {
+  if (!this.suspendedAt) return false;
+  return !this.suspendedUntil || this.suspendedUntil.getTime() > Date.now();
+};
+
 // 활성 상태 업데이트 메서드
 UserSchema.methods.updateLastActive = async function() {
   this.lastActive = new Date();
@@ -110,19 +300,33 @@ UserSchema.methods.updateLastActive = async function() {
 
 // 사용자 정보 변경 메서드
 UserSchema.methods.updateProfile = async function(updateData) {
-  const allowedUpdates = ['name', 'profileImage'];
-  const updates = {};
+  const allowedUpdates = ['name', 'profileImage', ...PROFILE_FIELDS];
 
   Object.keys(updateData).forEach(key => {
-    if (allowedUpdates.includes(key)) {
-      updates[key] = updateData[key];
+    if (!allowedUpdates.includes(key)) return;
+
+    // 빈 핸들은 고유 인덱스에 걸리지 않도록 필드 자체를 제거
+    if (key === 'handle' && !updateData.handle) {
+      this.handle = undefined;
+      return;
     }
+    this[key] = updateData[key];
   });
 
-  Object.assign(this, updates);
+  if (updateData.profileVisibility && typeof updateData.profileVisibility === 'object') {
+    PROFILE_FIELDS.forEach(field => {
+      if (updateData.profileVisibility[field] !== undefined) {
+        this.set(`profileVisibility.${field}`, updateData.profileVisibility[field]);
+      }
+    });
+  }
+
   return this.save();
 };
 
+UserSchema.statics.PROFILE_FIELDS = PROFILE_FIELDS;
+UserSchema.statics.PROFILE_VISIBILITY = PROFILE_VISIBILITY;
+
 // 비밀번호 변경 메서드
 UserSchema.methods.changePassword = async function(currentPassword, newPassword) {
   try {
@@ -173,5 +377,10 @@ UserSchema.index({ email: 1 });
 UserSchema.index({ encryptedEmail: 1 }, { unique: true, sparse: true });
 UserSchema.index({ createdAt: 1 });
 UserSchema.index({ lastActive: 1 });
+UserSchema.index({ handle: 1 }, { unique: true, sparse: true });
+UserSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../../controllers/adminController');
+const auth = require('../../middleware/auth');
+const { requireRole, requirePermission } = require('../../middleware/authorize');
+const { requireSessionAuth } = require('../../middleware/tokenScope');
+
+// 모든 관리자 라우트는 로그인 세션과 운영자 이상의 역할 필요 (세부 권한은 라우트별로 확인)
+router.use(auth, requireSessionAuth, requireRole('moderator'));
+
+// 사용자 목록 (검색: q, 필터: role/status, 정렬: sortBy=createdAt|lastActive, order=asc|desc)
+router.get('/users',
+  requirePermission('users:read'),
+  adminController.listUsers
+);
+
+// 계정 정지 / 해제
+router.post('/users/:userId/suspend',
+  requirePermission('users:manage'),
+  adminController.suspendUser
+);
+
+router.post('/users/:userId/unsuspend',
+  requirePermission('users:manage'),
+  adminController.unsuspendUser
+);
+
+// 강제 로그아웃
+router.post('/users/:userId/logout',
+  requirePermission('users:manage'),
+  adminController.forceLogout
+);
+
+// 비밀번호 재설정 메일 발송
+router.post('/users/:userId/password-reset',
+  requirePermission('users:manage'),
+  adminController.sendPasswordReset
+);
+
+// 계정 영구 삭제
+router.delete('/users/:userId',
+  requirePermission('users:manage'),
+  adminController.deleteUser
+);
+
+// 지정 시각 이전에 발급된 사용자 토큰 일괄 폐기
+router.post('/users/:userId/revoke-tokens',
+  requirePermission('tokens:revoke'),
+  adminController.revokeUserTokens
+);
+
+// 사용자 역할 변경
+router.put('/users/:userId/role',
+  requirePermission('users:roles'),
+  adminController.updateUserRole
+);
+
+module.exports = router;
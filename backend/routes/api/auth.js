@@ -2,6 +2,8 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../../middleware/auth');
+const { requireSessionAuth } = require('../../middleware/tokenScope');
+const { loginLimiter, mailLimiter } = require('../../middleware/rateLimiter');
 const authController = require('../../controllers/authController');
 
 // 상태 확인 라우트
@@ -11,20 +13,43 @@ router.get('/', (req, res) => {
     routes: {
       '/register': 'POST - 새 사용자 등록',
       '/login': 'POST - 사용자 로그인',
+      '/login/2fa': 'POST - 2단계 인증 코드로 로그인 완료',
+      '/jwks': 'GET - 액세스 토큰 검증용 공개키 (/.well-known/jwks.json 과 동일)',
+      '/oidc/providers': 'GET - 외부 로그인 제공자 목록',
+      '/oidc/:provider/authorize': 'GET - 외부 로그인 인가 URL 발급 (PKCE)',
+      '/oidc/:provider/callback': 'POST - 외부 로그인 인가 코드 처리',
       '/logout': 'POST - 로그아웃 (인증 필요)',
       '/verify-token': 'GET - 토큰 검증',
-      '/refresh-token': 'POST - 토큰 갱신 (인증 필요)'
+      '/refresh-token': 'POST - 리프레시 토큰으로 토큰 갱신',
+      '/verify-email/:token': 'GET - 이메일 인증',
+      '/resend-verification': 'POST - 인증 메일 재전송',
+      '/forgot-password': 'POST - 비밀번호 재설정 메일 요청',
+      '/reset-password': 'POST - 재설정 토큰으로 비밀번호 변경',
+      '/sessions': 'GET - 로그인된 기기 목록, DELETE - 현재 기기 외 모든 세션 종료 (인증 필요)',
+      '/sessions/:sessionId': 'DELETE - 특정 세션 종료 (인증 필요)'
     }
   });
 });
 
 // Public routes
 router.post('/register', authController.register);
-router.post('/login', authController.login);
+router.post('/login', loginLimiter, authController.login);
+router.post('/login/2fa', loginLimiter, authController.loginTwoFactor);
+router.get('/jwks', authController.getJwks);
+router.get('/oidc/providers', authController.getOidcProviders);
+router.get('/oidc/:provider/authorize', loginLimiter, authController.oidcAuthorize);
+router.post('/oidc/:provider/callback', loginLimiter, authController.oidcCallback);
 router.post('/verify-token', authController.verifyToken); // GET /verify-token 라우트 추가
+router.post('/refresh-token', authController.refreshToken);
+router.get('/verify-email/:token', authController.verifyEmail);
+router.post('/resend-verification', mailLimiter, authController.resendVerification);
+router.post('/forgot-password', mailLimiter, authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
 
 // Protected routes
-router.post('/logout', auth, authController.logout);
-router.post('/refresh-token', auth, authController.refreshToken);
+router.post('/logout', auth, requireSessionAuth, authController.logout);
+router.get('/sessions', auth, requireSessionAuth, authController.getSessions);
+router.delete('/sessions', auth, requireSessionAuth, authController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', auth, requireSessionAuth, authController.revokeSession);
 
 module.exports = router;
\ No newline at end of file
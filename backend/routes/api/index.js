@@ -5,7 +5,6 @@ const router = express.Router();
 const authRoutes = require('./auth');
 const userRoutes = require('./users');
 const roomRoutes = require('./rooms');
-const fileRoutes = require('./files');
 
 // API documentation route
 router.get('/', (req, res) => {
@@ -25,8 +24,7 @@ router.get('/', (req, res) => {
         }
       },
       users: '/users',
-      rooms: '/rooms',
-      files: '/files',
+      rooms: '/rooms'
     }
   });
 });
@@ -35,6 +33,5 @@ router.get('/', (req, res) => {
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/rooms', roomRoutes);
-router.use('/files', fileRoutes);
 
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const roomController = require('../../controllers/roomController');
+const auth = require('../../middleware/auth');
+const { requireScope } = require('../../middleware/tokenScope');
+
+// 초대 링크 미리보기
+router.get('/:code',
+  auth,
+  requireScope('rooms:read'),
+  roomController.getInvite
+);
+
+// 초대 수락
+router.post('/:code/accept',
+  auth,
+  requireScope('rooms:write'),
+  roomController.acceptInvite
+);
+
+module.exports = router;
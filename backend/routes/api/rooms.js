@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const roomController = require('../../controllers/roomController');
+const auth = require('../../middleware/auth');
+const { requireScope } = require('../../middleware/tokenScope');
+
+// 채팅방 목록 (이름 검색: q, 정렬: sortBy=createdAt|name|participantsCount, order=asc|desc)
+router.get('/',
+  auth,
+  requireScope('rooms:read'),
+  roomController.listRooms
+);
+
+// 채팅방 생성
+router.post('/',
+  auth,
+  requireScope('rooms:write'),
+  roomController.createRoom
+);
+
+// 내 1:1 대화 목록 (/:roomId 라우트보다 먼저 등록)
+router.get('/direct',
+  auth,
+  requireScope('rooms:read'),
+  roomController.listDirectRooms
+);
+
+// 1:1 대화 시작 (이미 있으면 기존 대화방 반환)
+router.post('/direct',
+  auth,
+  requireScope('rooms:write'),
+  roomController.openDirectRoom
+);
+
+// 채팅방 상세 조회
+router.get('/:roomId',
+  auth,
+  requireScope('rooms:read'),
+  roomController.getRoom
+);
+
+// 채팅방 참가
+router.post('/:roomId/join',
+  auth,
+  requireScope('rooms:write'),
+  roomController.joinRoom
+);
+
+// 채팅방 설정 변경 (이름, 비밀번호)
+router.put('/:roomId',
+  auth,
+  requireScope('rooms:write'),
+  roomController.updateRoom
+);
+
+// 채팅방 삭제
+router.delete('/:roomId',
+  auth,
+  requireScope('rooms:write'),
+  roomController.deleteRoom
+);
+
+// 멤버 강퇴
+router.delete('/:roomId/members/:userId',
+  auth,
+  requireScope('rooms:write'),
+  roomController.kickMember
+);
+
+// 멤버 역할 변경
+router.put('/:roomId/members/:userId/role',
+  auth,
+  requireScope('rooms:write'),
+  roomController.updateMemberRole
+);
+
+// 차단 목록
+router.get('/:roomId/bans',
+  auth,
+  requireScope('rooms:read'),
+  roomController.getBans
+);
+
+// 사용자 차단
+router.post('/:roomId/bans',
+  auth,
+  requireScope('rooms:write'),
+  roomController.banMember
+);
+
+// 차단 해제
+router.delete('/:roomId/bans/:userId',
+  auth,
+  requireScope('rooms:write'),
+  roomController.unbanMember
+);
+
+// 채팅 금지
+router.post('/:roomId/members/:userId/mute',
+  auth,
+  requireScope('rooms:write'),
+  roomController.muteMember
+);
+
+// 채팅 금지 해제
+router.delete('/:roomId/members/:userId/mute',
+  auth,
+  requireScope('rooms:write'),
+  roomController.unmuteMember
+);
+
+// 초대 링크 목록
+router.get('/:roomId/invites',
+  auth,
+  requireScope('rooms:read'),
+  roomController.getInvites
+);
+
+// 초대 링크 생성
+router.post('/:roomId/invites',
+  auth,
+  requireScope('rooms:write'),
+  roomController.createInvite
+);
+
+// 초대 링크 폐기
+router.delete('/:roomId/invites/:code',
+  auth,
+  requireScope('rooms:write'),
+  roomController.revokeInvite
+);
+
+module.exports = router;
@@ -1,49 +1,169 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../../controllers/userController');
+const authController = require('../../controllers/authController');
 const auth = require('../../middleware/auth');
+const { requireScope, requireSessionAuth } = require('../../middleware/tokenScope');
 
 // 공개 라우트
-// 회원가입
-router.post('/register', userController.register);
+// 회원가입 (/api/auth/register 와 동일한 처리, 기존 클라이언트 호환용)
+router.post('/register', authController.register);
 
 // 인증이 필요한 라우트
 // 프로필 조회
 router.get('/profile', 
   auth, 
+  requireScope('profile:read'),
   userController.getProfile
 );
 
+// 사용자 검색
+router.get('/search',
+  auth,
+  requireScope('profile:read'),
+  userController.searchUsers
+);
+
 // 프로필 업데이트
 router.put('/profile',
   auth,
+  requireScope('profile:write'),
   userController.updateProfile
 );
 
 // 비밀번호 변경
 router.put('/change-password',
   auth,
+  requireSessionAuth,
   userController.changePassword
 );
 
 // 프로필 이미지 업로드
 router.post('/profile-image',
   auth,
+  requireScope('profile:write'),
   userController.uploadProfileImage
 );
 
 // 프로필 이미지 삭제
 router.delete('/profile-image',
   auth,
+  requireScope('profile:write'),
   userController.deleteProfileImage
 );
 
-// 회원 탈퇴
+// 회원 탈퇴 (유예 기간 후 삭제)
 router.delete('/account',
   auth,
+  requireSessionAuth,
   userController.deleteAccount
 );
 
+// 회원 탈퇴 예약 취소
+router.post('/account/cancel-deletion',
+  auth,
+  requireSessionAuth,
+  userController.cancelAccountDeletion
+);
+
+// 2단계 인증 설정 시작
+router.post('/2fa/setup',
+  auth,
+  requireSessionAuth,
+  userController.setupTwoFactor
+);
+
+// 2단계 인증 코드 확인 및 활성화
+router.post('/2fa/verify',
+  auth,
+  requireSessionAuth,
+  userController.verifyTwoFactor
+);
+
+// 2단계 인증 해제
+router.post('/2fa/disable',
+  auth,
+  requireSessionAuth,
+  userController.disableTwoFactor
+);
+
+// 연결된 외부 계정 목록
+router.get('/identities',
+  auth,
+  requireSessionAuth,
+  userController.getIdentities
+);
+
+// 외부 계정 연결 시작
+router.post('/identities/:provider',
+  auth,
+  requireSessionAuth,
+  userController.linkIdentity
+);
+
+// 외부 계정 연결 완료 (인가 코드 처리)
+router.post('/identities/:provider/callback',
+  auth,
+  requireSessionAuth,
+  userController.completeIdentityLink
+);
+
+// 외부 계정 연결 해제
+router.delete('/identities/:provider',
+  auth,
+  requireSessionAuth,
+  userController.unlinkIdentity
+);
+
+// 개인정보 내보내기 요청
+router.post('/export',
+  auth,
+  requireSessionAuth,
+  userController.requestDataExport
+);
+
+// 개인정보 내보내기 상태 조회
+router.get('/export/:exportId',
+  auth,
+  requireSessionAuth,
+  userController.getDataExport
+);
+
+// 개인정보 내보내기 파일 다운로드
+router.get('/export/:exportId/download',
+  auth,
+  requireSessionAuth,
+  userController.downloadDataExport
+);
+
+// 개인 API 토큰 목록
+router.get('/tokens',
+  auth,
+  requireSessionAuth,
+  userController.getApiTokens
+);
+
+// 개인 API 토큰 생성
+router.post('/tokens',
+  auth,
+  requireSessionAuth,
+  userController.createApiToken
+);
+
+// 개인 API 토큰 수정
+router.put('/tokens/:tokenId',
+  auth,
+  requireSessionAuth,
+  userController.updateApiToken
+);
+
+// 개인 API 토큰 폐기
+router.delete('/tokens/:tokenId',
+  auth,
+  requireSessionAuth,
+  userController.revokeApiToken
+);
+
 // API 상태 확인
 router.get('/status', (req, res) => {
   res.json({
@@ -53,6 +173,13 @@ router.get('/status', (req, res) => {
   });
 });
 
+// 다른 사용자 프로필 조회 (다른 GET 라우트와 겹치지 않도록 마지막에 등록)
+router.get('/:userId',
+  auth,
+  requireScope('profile:read'),
+  userController.getUserProfile
+);
+
 // 에러 처리 미들웨어
 router.use((err, req, res, next) => {
   console.error('User routes error:', err);
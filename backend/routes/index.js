@@ -4,8 +4,7 @@ const router = express.Router();
 // Import route modules
 const authRoutes = require('./api/auth');
 const userRoutes = require('./api/users');
-const { router: roomsRouter } = require('./api/rooms');
-const fileRoutes = require('./api/files');
+const roomsRouter = require('./api/rooms');
 
 // API documentation route
 router.get('/', (req, res) => {
@@ -26,7 +25,6 @@ router.get('/', (req, res) => {
       },
       users: '/users',
       rooms: '/rooms',
-      files: '/files',
       ai: '/ai'
     }
   });
@@ -35,7 +33,6 @@ router.get('/', (req, res) => {
 // Mount routes
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
-router.use('/rooms', roomsRouter);  // roomsRouter로 변경
-router.use('/files', fileRoutes);
+router.use('/rooms', roomsRouter);
 
 module.exports = router;
\ No newline at end of file
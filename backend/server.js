@@ -6,6 +6,15 @@ const path = require('path');
 
 const authRouter = require('./routes/api/auth');
 const userRouter = require('./routes/api/users');
+const adminRouter = require('./routes/api/admin');
+const roomRouter = require('./routes/api/rooms');
+const inviteRouter = require('./routes/api/invites');
+const authController = require('./controllers/authController');
+const jwtKeyRing = require('./utils/jwtKeyRing');
+const AccountService = require('./services/accountService');
+const EmailVerificationService = require('./services/emailVerificationService');
+const DataExportService = require('./services/dataExportService');
+const RoomService = require('./services/roomService');
 
 const app = express();
 const PORT = process.env.PORT || 8083;
@@ -35,6 +44,8 @@ const corsOptions = {
     'Authorization', 
     'x-auth-token', 
     'x-session-id',
+    'x-refresh-token',
+    'x-api-token',
     'Cache-Control',
     'Pragma'
   ],
@@ -69,10 +80,16 @@ app.get('/health', (req, res) => {
   });
 });
 
+// 다른 서비스가 액세스 토큰을 검증할 수 있도록 공개키 제공
+app.get('/.well-known/jwks.json', authController.getJwks);
+
 // API 라우트 마운트
 // app.use('/api', routes);
 app.use('/api/auth', authRouter);
 app.use('/api/users', userRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/rooms', roomRouter);
+app.use('/api/invites', inviteRouter);
 
 // 404 에러 핸들러
 app.use((req, res) => {
@@ -94,16 +111,42 @@ app.use((err, req, res, next) => {
   });
 });
 
-// 서버 시작
+// 서버 시작 (JWT 키 설정 오류는 시작 시점에 확인)
+try {
+  jwtKeyRing.load();
+} catch (err) {
+  console.error('JWT key configuration error:', err.message);
+  process.exit(1);
+}
+
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => {
+  .then(async () => {
     console.log('MongoDB Connected');
+
+    // 기존 계정이 로그인 인증 모드에서 잠기지 않도록 인증 상태 보정
+    const backfilled = await EmailVerificationService.backfillLegacyAccounts();
+    if (backfilled > 0) {
+      console.log(`Marked ${backfilled} legacy accounts as email verified`);
+    }
+
+    // 방 역할(강퇴·채팅 금지 등)이 접속 여부와 관계없이 동작하도록 기존 참가자를 멤버로 등록
+    const roomsBackfilled = await RoomService.backfillMembers();
+    if (roomsBackfilled > 0) {
+      console.log(`Backfilled members for ${roomsBackfilled} rooms`);
+    }
+
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`User & Auth Service running on port ${PORT}`);
       console.log('Environment:', process.env.NODE_ENV || 'development');
       console.log('API Base URL:', `http://0.0.0.0:${PORT}/api`);
       console.log('Health Check:', `http://0.0.0.0:${PORT}/health`);
     });
+
+    // 유예 기간이 지난 탈퇴 예약 계정 정리
+    AccountService.startDeletionScheduler({ io: app.get('io') });
+
+    // 보관 기간이 지난 개인정보 내보내기 파일 정리 (재시작 전에 만든 파일 포함)
+    DataExportService.startCleanupScheduler();
   })
   .catch(err => {
     console.error('Server startup error:', err);
@@ -0,0 +1,234 @@
+const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const s3 = require('../utils/s3Client');
+const redisClient = require('../utils/redisClient');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const RoomInvite = require('../models/RoomInvite');
+const File = require('../models/File');
+const ProfileCacheService = require('./profileCacheService');
+const ApiTokenService = require('./apiTokenService');
+const SessionTerminationService = require('./sessionTerminationService');
+const SuspensionService = require('./suspensionService');
+const DataExportService = require('./dataExportService');
+const { accountDeletionGracePeriod } = require('../config/keys');
+
+class AccountService {
+  static DELETION_LOCK_KEY = 'account_deletion_lock';
+  static DELETION_LOCK_TTL = 10 * 60; // 초 단위
+  static DELETION_CHECK_INTERVAL = 10 * 60 * 1000; // 삭제 예정 계정 확인 간격 (10분)
+  static DELETION_BATCH_SIZE = 50;
+
+  static deletionTimer = null;
+
+  // 탈퇴 예약 - 유예 기간이 없으면 즉시 삭제
+  static async scheduleDeletion(user, { io = null } = {}) {
+    if (accountDeletionGracePeriod <= 0) {
+      await this.hardDelete(user, { io });
+      return { deleted: true, scheduledFor: null };
+    }
+
+    const requestedAt = new Date();
+    const scheduledFor = new Date(requestedAt.getTime() + accountDeletionGracePeriod * 1000);
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { deletionRequestedAt: requestedAt, deletionScheduledFor: scheduledFor } }
+    );
+    await ProfileCacheService.invalidateProfile(user._id);
+
+    return { deleted: false, scheduledFor };
+  }
+
+  // 탈퇴 예약 취소 - 취소할 예약이 없으면 false
+  static async cancelDeletion(userId) {
+    const result = await User.updateOne(
+      { _id: userId, deletionScheduledFor: { $ne: null } },
+      { $set: { deletionRequestedAt: null, deletionScheduledFor: null } }
+    );
+    await ProfileCacheService.invalidateProfile(userId);
+
+    return result.modifiedCount > 0;
+  }
+
+  // 계정 영구 삭제 - 세션 종료 후 메시지 익명화, 파일/채팅방 참여 정리, 사용자 문서 삭제
+  static async hardDelete(user, { io = null, reason = 'account_deleted' } = {}) {
+    const userId = user._id.toString();
+
+    await SessionTerminationService.endAllUserSessions(io, userId, {
+      reason,
+      message: '계정이 삭제되었습니다.'
+    });
+    await ApiTokenService.revokeAll(userId);
+
+    await this.removeFiles(userId);
+    await DataExportService.removeUserExports(userId);
+    await this.anonymizeMessages(userId);
+    await this.leaveRooms(userId);
+    await this.removeProfileImage(user);
+
+    await user.deleteOne();
+
+    await SuspensionService.clearMarker(userId);
+    await ProfileCacheService.invalidateProfile(userId);
+  }
+
+  // 작성한 메시지는 대화 흐름을 위해 남기고 작성자 정보만 제거, 읽음 기록과 리액션 삭제
+  static async anonymizeMessages(userId) {
+    await Message.updateMany(
+      { sender: userId },
+      { $set: { sender: null, 'metadata.senderDeleted': true } }
+    );
+    await Message.updateMany(
+      { 'readers.userId': userId },
+      { $pull: { readers: { userId } } }
+    );
+    await this.removeReactions(userId);
+  }
+
+  // 리액션 맵의 키(이모지)가 동적이므로 파이프라인 업데이트로 모든 배열에서 사용자 제거 (빈 이모지는 삭제)
+  static async removeReactions(userId) {
+    const id = new mongoose.Types.ObjectId(userId.toString());
+    const entries = { $objectToArray: { $ifNull: ['$reactions', {}] } };
+
+    await Message.updateMany(
+      Message.reactedByFilter(userId),
+      [{
+        $set: {
+          reactions: {
+            $arrayToObject: {
+              $filter: {
+                input: {
+                  $map: {
+                    input: entries,
+                    as: 'reaction',
+                    in: {
+                      k: '$$reaction.k',
+                      v: {
+                        $filter: {
+                          input: '$$reaction.v',
+                          as: 'reactor',
+                          cond: { $ne: ['$$reactor', id] }
+                        }
+                      }
+                    }
+                  }
+                },
+                as: 'reaction',
+                cond: { $gt: [{ $size: '$$reaction.v' }, 0] }
+              }
+            }
+          }
+        }
+      }]
+    );
+  }
+
+  // 업로드한 파일 삭제 - 파일 메시지는 내용이 없어지므로 삭제 처리
+  static async removeFiles(userId) {
+    const files = await File.find({ user: userId }).select('_id path');
+    if (files.length === 0) return;
+
+    await Promise.all(files.map(async (file) => {
+      try {
+        if (file.path) {
+          await fs.unlink(file.path);
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('File removal error:', error);
+        }
+      }
+    }));
+
+    const fileIds = files.map(file => file._id);
+    await Message.updateMany(
+      { type: 'file', file: { $in: fileIds } },
+      { $set: { isDeleted: true } }
+    );
+    await File.deleteMany({ _id: { $in: fileIds } });
+  }
+
+  // 모든 채팅방에서 나가고, 직접 만든 방은 남은 관리자·멤버에게 넘기거나 비어 있으면 삭제
+  static async leaveRooms(userId) {
+    await Room.updateMany(
+      { $or: [{ participants: userId }, { moderators: userId }, { members: userId }] },
+      { $pull: { participants: userId, moderators: userId, members: userId } }
+    );
+
+    // 현재 접속 여부와 관계없이 관리자, 없으면 남은 멤버에게 넘겨 대화 기록을 유지 (멤버가 없으면 삭제)
+    const ownedRooms = await Room.find({ creator: userId }).select('_id moderators members');
+    for (const room of ownedRooms) {
+      const successor = room.moderators[0] || room.members[0];
+      if (successor) {
+        await Room.updateOne(
+          { _id: room._id },
+          { $set: { creator: successor }, $pull: { moderators: successor }, $addToSet: { members: successor } }
+        );
+      } else {
+        await Message.deleteMany({ room: room._id.toString() });
+        await RoomInvite.deleteMany({ room: room._id });
+        await Room.deleteOne({ _id: room._id });
+      }
+    }
+  }
+
+  static async removeProfileImage(user) {
+    if (!user.profileImage) return;
+
+    const key = user.profileImage.replace(/^.*\/uploads\//, 'uploads/');
+    try {
+      await s3.send(new DeleteObjectCommand({
+        Bucket: process.env.AWS_S3_BUCKET_NAME,
+        Key: key
+      }));
+    } catch (error) {
+      console.error('Profile image delete error:', error);
+    }
+  }
+
+  // 유예 기간이 지난 탈퇴 예약 계정 삭제 (여러 인스턴스 중 한 곳에서만 실행)
+  static async processDueDeletions({ io = null } = {}) {
+    const locked = await redisClient.set(this.DELETION_LOCK_KEY, Date.now(), {
+      nx: true,
+      ttl: this.DELETION_LOCK_TTL
+    });
+    if (!locked) return 0;
+
+    let processed = 0;
+    try {
+      const users = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } })
+        .limit(this.DELETION_BATCH_SIZE);
+
+      for (const user of users) {
+        try {
+          await this.hardDelete(user, { io });
+          processed++;
+        } catch (error) {
+          console.error('Scheduled account deletion error:', { userId: user._id, error });
+        }
+      }
+    } finally {
+      await redisClient.del(this.DELETION_LOCK_KEY);
+    }
+
+    return processed;
+  }
+
+  static startDeletionScheduler({ io = null } = {}) {
+    if (this.deletionTimer) return;
+
+    this.deletionTimer = setInterval(() => {
+      this.processDueDeletions({ io })
+        .then(count => {
+          if (count > 0) console.log(`Scheduled account deletions processed: ${count}`);
+        })
+        .catch(error => console.error('Account deletion scheduler error:', error));
+    }, this.DELETION_CHECK_INTERVAL);
+    this.deletionTimer.unref();
+  }
+}
+
+module.exports = AccountService;
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+const TokenService = require('./tokenService');
+
+class ApiTokenService {
+  static TOKEN_PREFIX = 'bcc_';
+  static MAX_TOKENS_PER_USER = 20;
+  static LAST_USED_UPDATE_INTERVAL = 60 * 1000; // 마지막 사용 시각 갱신 최소 간격 (1분)
+
+  static isApiToken(value) {
+    return typeof value === 'string' && value.startsWith(this.TOKEN_PREFIX);
+  }
+
+  // 토큰 생성 - 평문 토큰은 이 응답에서만 반환
+  static async create(userId, { name, scopes = [], expiresInDays = null }) {
+    const count = await ApiToken.countDocuments({ user: userId });
+    if (count >= this.MAX_TOKENS_PER_USER) {
+      const error = new Error(`API 토큰은 최대 ${this.MAX_TOKENS_PER_USER}개까지 만들 수 있습니다.`);
+      error.code = 'TOKEN_LIMIT_EXCEEDED';
+      throw error;
+    }
+
+    const token = `${this.TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiToken = await ApiToken.create({
+      user: userId,
+      name,
+      scopes: [...new Set(scopes)],
+      tokenHash: TokenService.hashToken(token),
+      prefix: token.slice(0, this.TOKEN_PREFIX.length + 6),
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    return { token, apiToken };
+  }
+
+  static async list(userId) {
+    return ApiToken.find({ user: userId }).sort({ createdAt: -1 });
+  }
+
+  static async update(userId, tokenId, { name, scopes }) {
+    const apiToken = await ApiToken.findOne({ _id: tokenId, user: userId });
+    if (!apiToken) return null;
+
+    if (name !== undefined) apiToken.name = name;
+    if (scopes !== undefined) apiToken.scopes = [...new Set(scopes)];
+
+    await apiToken.save();
+    return apiToken;
+  }
+
+  static async revoke(userId, tokenId) {
+    const result = await ApiToken.deleteOne({ _id: tokenId, user: userId });
+    return result.deletedCount > 0;
+  }
+
+  static async revokeAll(userId) {
+    const result = await ApiToken.deleteMany({ user: userId });
+    return result.deletedCount;
+  }
+
+  // 소켓처럼 오래 유지되는 연결에서 토큰이 아직 유효한지 재확인
+  static async isActive(tokenId) {
+    const apiToken = await ApiToken.findById(tokenId).select('expiresAt');
+    return !!apiToken && !apiToken.isExpired();
+  }
+
+  // 요청에 포함된 토큰 확인 - 유효하면 사용자와 권한 범위 반환
+  static async authenticate(rawToken, ipAddress = '') {
+    if (!this.isApiToken(rawToken)) return null;
+
+    const apiToken = await ApiToken.findOne({ tokenHash: TokenService.hashToken(rawToken) });
+    if (!apiToken || apiToken.isExpired()) return null;
+
+    const user = await User.findById(apiToken.user).select('_id name email profileImage emailVerified role suspendedAt suspendedUntil');
+    if (!user) return null;
+
+    // 매 요청마다 쓰지 않도록 일정 간격으로만 마지막 사용 정보 갱신
+    const lastUsed = apiToken.lastUsedAt ? apiToken.lastUsedAt.getTime() : 0;
+    if (Date.now() - lastUsed > this.LAST_USED_UPDATE_INTERVAL) {
+      ApiToken.updateOne(
+        { _id: apiToken._id },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress || '' } }
+      ).exec().catch(error => {
+        console.error('API token last used update error:', error);
+      });
+    }
+
+    return {
+      user,
+      tokenId: apiToken._id.toString(),
+      scopes: apiToken.scopes
+    };
+  }
+}
+
+module.exports = ApiTokenService;
@@ -0,0 +1,361 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const redisClient = require('../utils/redisClient');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const File = require('../models/File');
+const ApiToken = require('../models/ApiToken');
+const SessionService = require('./sessionService');
+const { dataExportDir, dataExportTtl } = require('../config/keys');
+
+// 개인정보 내보내기 - 사용자 데이터를 gzip 압축한 JSON 파일로 만들어 일정 기간 보관
+class DataExportService {
+  static EXPORT_PREFIX = 'data_export:';
+  static USER_EXPORT_PREFIX = 'data_export_user:';
+  static ACTIVE_STATUSES = ['pending', 'processing'];
+  static REQUEST_COOLDOWN = 60 * 60 * 1000; // 완료된 내보내기 후 재요청 제한 (1시간)
+  static STALE_JOB_AGE = 60 * 60 * 1000; // 서버 재시작 등으로 멈춘 작업으로 간주하는 시간 (1시간)
+  static CLEANUP_INTERVAL = 60 * 60 * 1000; // 만료 파일 정리 주기 (1시간)
+  static FILE_PATTERN = /^(?:([a-f0-9]{24})_)?([a-f0-9]{32})\.json\.gz$/;
+
+  static queue = [];
+  static running = false;
+  static cleanupTimer = null;
+
+  // 내보내기 요청 - 진행 중이거나 최근에 완료된 작업이 있으면 해당 작업 반환
+  static async requestExport(userId) {
+    const latestId = await redisClient.get(this.getUserExportKey(userId));
+    const latest = latestId ? await this.getJob(String(latestId)) : null;
+    if (latest) {
+      const age = Date.now() - new Date(latest.createdAt).getTime();
+      const isActive = this.ACTIVE_STATUSES.includes(latest.status) && age < this.STALE_JOB_AGE;
+      const isRecent = latest.status === 'completed' && age < this.REQUEST_COOLDOWN;
+      if (isActive || isRecent) {
+        return { job: latest, created: false };
+      }
+    }
+
+    const job = {
+      id: crypto.randomBytes(16).toString('hex'),
+      userId: userId.toString(),
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+      expiresAt: null,
+      size: null,
+      error: null
+    };
+
+    await this.saveJob(job);
+    await redisClient.setEx(this.getUserExportKey(userId), dataExportTtl, job.id);
+
+    this.queue.push(job.id);
+    setImmediate(() => this.runQueue());
+
+    return { job, created: true };
+  }
+
+  static async getJob(exportId) {
+    if (!/^[a-f0-9]{32}$/.test(String(exportId))) return null;
+    return redisClient.get(this.getExportKey(exportId));
+  }
+
+  // 본인의 작업만 조회 가능
+  static async getJobForUser(exportId, userId) {
+    const job = await this.getJob(exportId);
+    if (!job || job.userId !== userId.toString()) return null;
+    return job;
+  }
+
+  static async saveJob(job) {
+    await redisClient.setEx(this.getExportKey(job.id), dataExportTtl, job);
+  }
+
+  // 사용자별로 정리할 수 있도록 파일 이름에 사용자 ID 포함
+  static getFilePath(job) {
+    return path.join(dataExportDir, `${job.userId}_${job.id}.json.gz`);
+  }
+
+  static formatJob(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt,
+      expiresAt: job.expiresAt,
+      size: job.size,
+      ...(job.status === 'completed' && { downloadUrl: `/api/users/export/${job.id}/download` }),
+      ...(job.error && { error: job.error })
+    };
+  }
+
+  // 요청 순서대로 한 번에 하나씩 처리
+  static async runQueue() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const exportId = this.queue.shift();
+        await this.processExport(exportId);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  static async processExport(exportId) {
+    const job = await this.getJob(exportId);
+    if (!job) return;
+
+    try {
+      job.status = 'processing';
+      await this.saveJob(job);
+
+      await fs.promises.mkdir(dataExportDir, { recursive: true });
+      const filePath = this.getFilePath(job);
+
+      await pipeline(
+        Readable.from(this.generateExport(job.userId)),
+        zlib.createGzip(),
+        fs.createWriteStream(filePath)
+      );
+
+      // 처리 중 계정이 삭제되어 작업 기록이 지워졌으면 파일도 남기지 않음
+      if (!(await this.getJob(job.id))) {
+        await this.removeFile(job);
+        return;
+      }
+
+      const { size } = await fs.promises.stat(filePath);
+      job.status = 'completed';
+      job.completedAt = new Date().toISOString();
+      job.expiresAt = new Date(Date.now() + dataExportTtl * 1000).toISOString();
+      job.size = size;
+      await this.saveJob(job);
+
+      // 보관 기간이 지나면 파일 삭제
+      setTimeout(() => this.removeFile(job), dataExportTtl * 1000).unref();
+    } catch (error) {
+      console.error('Data export error:', { exportId, error });
+      job.status = 'failed';
+      job.error = '데이터를 내보내는 중 오류가 발생했습니다.';
+      await this.saveJob(job);
+      await this.removeFile(job);
+    }
+  }
+
+  static async removeFile(job) {
+    await this.unlinkFile(this.getFilePath(job));
+  }
+
+  static async unlinkFile(filePath) {
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Data export file removal error:', error);
+      }
+    }
+  }
+
+  static async listFiles() {
+    try {
+      const names = await fs.promises.readdir(dataExportDir);
+      return names
+        .map(name => ({ name, match: this.FILE_PATTERN.exec(name) }))
+        .filter(({ match }) => match)
+        .map(({ name, match }) => ({
+          filePath: path.join(dataExportDir, name),
+          userId: match[1] || null,
+          exportId: match[2]
+        }));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // 보관 기간이 지난 파일 삭제 (재시작으로 예약된 삭제가 사라진 파일 포함, 수정 시각 기준)
+  static async removeExpiredFiles() {
+    const cutoff = Date.now() - dataExportTtl * 1000;
+    let removed = 0;
+
+    for (const { filePath } of await this.listFiles()) {
+      try {
+        const { mtimeMs } = await fs.promises.stat(filePath);
+        if (mtimeMs > cutoff) continue;
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      await this.unlinkFile(filePath);
+      removed += 1;
+    }
+
+    return removed;
+  }
+
+  // 계정 삭제 시 사용자의 내보내기 파일과 작업 기록 삭제
+  static async removeUserExports(userId) {
+    const id = userId.toString();
+    const files = (await this.listFiles()).filter(file => file.userId === id);
+
+    const latestId = await redisClient.get(this.getUserExportKey(id));
+    const exportIds = new Set(files.map(file => file.exportId));
+    if (latestId) exportIds.add(String(latestId));
+
+    for (const exportId of exportIds) {
+      await redisClient.del(this.getExportKey(exportId));
+    }
+    await redisClient.del(this.getUserExportKey(id));
+
+    this.queue = this.queue.filter(exportId => !exportIds.has(exportId));
+    await Promise.all(files.map(file => this.unlinkFile(file.filePath)));
+  }
+
+  static startCleanupScheduler() {
+    if (this.cleanupTimer) return;
+
+    const cleanup = () => {
+      this.removeExpiredFiles()
+        .then(count => {
+          if (count > 0) console.log(`Expired data exports removed: ${count}`);
+        })
+        .catch(error => console.error('Data export cleanup error:', error));
+    };
+
+    cleanup();
+    this.cleanupTimer = setInterval(cleanup, this.CLEANUP_INTERVAL);
+    this.cleanupTimer.unref();
+  }
+
+  // 메시지가 많아도 메모리에 모두 올리지 않도록 JSON을 조각 단위로 생성
+  static async *generateExport(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const sessions = await SessionService.getUserSessions(userId);
+    const apiTokens = await ApiToken.find({ user: userId }).sort({ createdAt: 1 }).lean();
+    const rooms = await Room.find({
+      $or: [{ members: userId }, { participants: userId }, { creator: userId }]
+    }).sort({ createdAt: 1 }).lean();
+    const files = await File.find({ user: userId }).sort({ uploadDate: 1 }).lean();
+
+    yield `{"exportedAt":${JSON.stringify(new Date().toISOString())}`;
+    yield `,"profile":${JSON.stringify(this.formatProfile(user))}`;
+    yield `,"sessions":${JSON.stringify(sessions.map(session => SessionService.formatSession(session)))}`;
+    yield `,"apiTokens":${JSON.stringify(apiTokens.map(token => ({
+      name: token.name,
+      prefix: token.prefix,
+      scopes: token.scopes,
+      createdAt: token.createdAt,
+      expiresAt: token.expiresAt,
+      lastUsedAt: token.lastUsedAt,
+      lastUsedIp: token.lastUsedIp
+    })))}`;
+    yield `,"rooms":${JSON.stringify(rooms.map(room => ({
+      id: room._id,
+      name: room.name,
+      isCreator: room.creator?.toString() === userId,
+      hasPassword: !!room.hasPassword,
+      createdAt: room.createdAt
+    })))}`;
+    yield `,"files":${JSON.stringify(files.map(file => ({
+      id: file._id,
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size,
+      uploadDate: file.uploadDate
+    })))}`;
+
+    yield ',"messages":[';
+    let first = true;
+    const messageCursor = Message.find({ sender: userId }).sort({ timestamp: 1 }).lean().cursor();
+    for await (const message of messageCursor) {
+      yield `${first ? '' : ','}${JSON.stringify({
+        id: message._id,
+        room: message.room,
+        type: message.type,
+        content: message.content,
+        file: message.file || null,
+        mentions: message.mentions || [],
+        timestamp: message.timestamp,
+        isDeleted: !!message.isDeleted
+      })}`;
+      first = false;
+    }
+    yield ']';
+
+    // 메시지에 남긴 리액션 (나간 채팅방 포함, 리액션 맵의 키가 이모지이므로 값 배열 기준으로 검색)
+    yield ',"reactions":[';
+    first = true;
+    const reactorId = new mongoose.Types.ObjectId(userId);
+    const reactionCursor = Message.aggregate([
+      { $match: Message.reactedByFilter(userId) },
+      { $project: { room: 1, timestamp: 1, reactions: { $objectToArray: '$reactions' } } },
+      { $unwind: '$reactions' },
+      { $match: { 'reactions.v': reactorId } },
+      { $project: { room: 1, timestamp: 1, emoji: '$reactions.k' } },
+      { $sort: { timestamp: 1 } }
+    ]).cursor();
+    for await (const reaction of reactionCursor) {
+      yield `${first ? '' : ','}${JSON.stringify({
+        messageId: reaction._id,
+        room: reaction.room,
+        emoji: reaction.emoji,
+        messageTimestamp: reaction.timestamp
+      })}`;
+      first = false;
+    }
+    yield ']}';
+  }
+
+  static formatProfile(user) {
+    return {
+      id: user._id,
+      name: user.name,
+      email: user.decryptEmail() || user.email,
+      profileImage: user.profileImage || '',
+      handle: user.handle || null,
+      bio: user.bio || '',
+      statusMessage: user.statusMessage || '',
+      timezone: user.timezone || null,
+      locale: user.locale || null,
+      pronouns: user.pronouns || '',
+      profileVisibility: user.profileVisibility || {},
+      role: user.role,
+      emailVerified: !!user.emailVerified,
+      emailVerifiedAt: user.emailVerifiedAt || null,
+      twoFactorEnabled: !!user.twoFactorEnabled,
+      passwordSet: user.passwordSet !== false,
+      identities: (user.identities || []).map(identity => ({
+        provider: identity.provider,
+        email: identity.email,
+        linkedAt: identity.linkedAt
+      })),
+      deletionScheduledFor: user.deletionScheduledFor || null,
+      createdAt: user.createdAt,
+      lastActive: user.lastActive
+    };
+  }
+
+  static getExportKey(exportId) {
+    return `${this.EXPORT_PREFIX}${exportId}`;
+  }
+
+  static getUserExportKey(userId) {
+    return `${this.USER_EXPORT_PREFIX}${userId}`;
+  }
+}
+
+module.exports = DataExportService;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const createError = require('../utils/createError');
+
+// 1:1 대화 - 두 사용자당 하나의 Room(type: direct)을 사용하며 채팅 메시지는 일반 채팅방과 같은 흐름으로 처리
+class DirectMessageService {
+  static DIRECT_ROOM_NAME = '1:1 대화';
+
+  // 두 사용자 간 대화방 조회, 없으면 생성 (동시 요청은 directKey 유니크 인덱스로 하나만 생성)
+  static async getOrCreate(user, targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      throw createError('대화 상대를 찾을 수 없습니다.', 'USER_NOT_FOUND', 404, 'userId');
+    }
+
+    if (targetId === user.id) {
+      throw createError('자기 자신과는 대화할 수 없습니다.', 'CANNOT_TARGET_SELF', 400, 'userId');
+    }
+
+    const directKey = Room.getDirectKey(user.id, targetId);
+    const existing = await Room.findOne({ directKey });
+    if (existing) {
+      return { room: existing, created: false };
+    }
+
+    const target = await User.findById(targetId).select('_id deletionScheduledFor');
+    if (!target || target.deletionScheduledFor) {
+      throw createError('대화 상대를 찾을 수 없습니다.', 'USER_NOT_FOUND', 404, 'userId');
+    }
+
+    try {
+      const room = await Room.create({
+        name: this.DIRECT_ROOM_NAME,
+        type: 'direct',
+        directKey,
+        visibility: 'invite_only',
+        creator: user.id,
+        members: [user.id, targetId],
+        participants: []
+      });
+      return { room, created: true };
+    } catch (error) {
+      if (error.code === 11000) {
+        return { room: await Room.findOne({ directKey }), created: false };
+      }
+      throw error;
+    }
+  }
+
+  // 사용자가 참여한 1:1 대화 목록
+  static async list(userId) {
+    return Room.find({ type: 'direct', members: userId }).sort({ createdAt: -1 });
+  }
+
+  // 대화 상대 ID
+  static getPeerId(room, userId) {
+    const peer = (room.members || []).find(member => member.toString() !== userId);
+    return peer ? peer.toString() : null;
+  }
+}
+
+module.exports = DirectMessageService;
@@ -0,0 +1,121 @@
+const User = require('../models/User');
+const redisClient = require('../utils/redisClient');
+const TokenService = require('./tokenService');
+const MailService = require('./mailService');
+const ProfileCacheService = require('./profileCacheService');
+const createError = require('../utils/createError');
+const {
+  emailVerificationMode,
+  emailVerificationTtl,
+  emailVerificationResendInterval
+} = require('../config/keys');
+
+class EmailVerificationService {
+  static TOKEN_PURPOSE = 'email_verify';
+  static RESEND_PREFIX = 'email_verify_resend:';
+
+  // 미인증 사용자의 로그인 차단 여부
+  static isRequiredForLogin() {
+    return emailVerificationMode === 'login';
+  }
+
+  // 미인증 사용자의 채팅방 입장 제한 여부
+  static isRequiredForRooms() {
+    return emailVerificationMode === 'rooms';
+  }
+
+  // 이메일 인증 도입 이전에 가입한 계정은 인증된 것으로 간주 (emailVerified 필드가 없는 문서만 대상)
+  static async backfillLegacyAccounts() {
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+    return result.modifiedCount || 0;
+  }
+
+  // 채팅방 입장 제한 모드에서 미인증 사용자의 채팅방 생성·참가 차단 (REST API용, DB 기준)
+  static async assertVerifiedForRooms(userId) {
+    if (!this.isRequiredForRooms()) return;
+
+    const user = await User.findById(userId).select('emailVerified').lean();
+    if (!user?.emailVerified) {
+      throw createError('이메일 인증 후 채팅방에 입장할 수 있습니다.', 'EMAIL_NOT_VERIFIED', 403);
+    }
+  }
+
+  // 인증 토큰 발급 및 메일 전송
+  static async sendVerification(user) {
+    const token = user.generateVerificationToken();
+    await TokenService.storeOneTimeToken(this.TOKEN_PURPOSE, token, user._id, emailVerificationTtl);
+    await MailService.sendEmailVerification(user, token, emailVerificationTtl);
+
+    // 가입 직후 재전송 요청도 제한
+    await redisClient.setEx(this.getResendKey(user._id), emailVerificationResendInterval, Date.now());
+  }
+
+  // 토큰 확인 후 사용자 인증 처리
+  static async verify(token) {
+    const userId = await TokenService.consumeOneTimeToken(this.TOKEN_PURPOSE, token);
+    if (!userId) {
+      return {
+        success: false,
+        error: 'INVALID_VERIFICATION_TOKEN',
+        message: '유효하지 않거나 만료된 인증 링크입니다.'
+      };
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return {
+        success: false,
+        error: 'USER_NOT_FOUND',
+        message: '사용자를 찾을 수 없습니다.'
+      };
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+      await ProfileCacheService.invalidateProfile(user._id);
+    }
+
+    return { success: true, user };
+  }
+
+  // 인증 메일 재전송 (사용자별 전송 간격 제한)
+  static async resend(email) {
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+    // 존재하지 않거나 이미 인증된 계정은 전송 없이 성공 처리
+    if (!user || user.emailVerified) {
+      return { success: true };
+    }
+
+    const allowed = await redisClient.set(
+      this.getResendKey(user._id),
+      Date.now(),
+      { nx: true, ttl: emailVerificationResendInterval }
+    );
+
+    if (!allowed) {
+      return {
+        success: false,
+        error: 'RESEND_THROTTLED',
+        message: `인증 메일은 ${emailVerificationResendInterval}초에 한 번만 요청할 수 있습니다.`
+      };
+    }
+
+    const token = user.generateVerificationToken();
+    await TokenService.storeOneTimeToken(this.TOKEN_PURPOSE, token, user._id, emailVerificationTtl);
+    await MailService.sendEmailVerification(user, token, emailVerificationTtl);
+
+    return { success: true };
+  }
+
+  static getResendKey(userId) {
+    return `${this.RESEND_PREFIX}${userId}`;
+  }
+}
+
+module.exports = EmailVerificationService;
@@ -0,0 +1,128 @@
+const redisClient = require('../utils/redisClient');
+const {
+  loginMaxAttempts,
+  loginMaxAttemptsPerIp,
+  loginAttemptWindow,
+  loginLockoutDuration
+} = require('../config/keys');
+
+class LoginAttemptService {
+  static ACCOUNT_FAIL_PREFIX = 'login_fail_account:';
+  static IP_FAIL_PREFIX = 'login_fail_ip:';
+  static ACCOUNT_LOCK_PREFIX = 'login_lock_account:';
+  static IP_LOCK_PREFIX = 'login_lock_ip:';
+  static DELAY_THRESHOLD = 2; // 이 횟수를 넘는 실패부터 응답 지연
+  static BASE_DELAY = 500; // ms
+  static MAX_DELAY = 8000; // ms
+
+  static normalizeEmail(email) {
+    return String(email || '').toLowerCase().trim();
+  }
+
+  // 계정 또는 IP 잠금 여부 확인
+  static async checkLock(email, ipAddress) {
+    const accountKey = this.getAccountLockKey(this.normalizeEmail(email));
+    const ipKey = this.getIpLockKey(ipAddress);
+
+    const [accountTtl, ipTtl] = await Promise.all([
+      redisClient.ttl(accountKey),
+      redisClient.ttl(ipKey)
+    ]);
+
+    if (accountTtl > 0) {
+      return {
+        locked: true,
+        error: 'ACCOUNT_LOCKED',
+        retryAfter: accountTtl,
+        message: `로그인 시도가 너무 많아 계정이 잠겼습니다. ${Math.ceil(accountTtl / 60)}분 후 다시 시도해주세요.`
+      };
+    }
+
+    if (ipTtl > 0) {
+      return {
+        locked: true,
+        error: 'TOO_MANY_ATTEMPTS',
+        retryAfter: ipTtl,
+        message: `로그인 시도가 너무 많습니다. ${Math.ceil(ipTtl / 60)}분 후 다시 시도해주세요.`
+      };
+    }
+
+    return { locked: false };
+  }
+
+  // 누적 실패 횟수에 따른 응답 지연 시간 (ms)
+  static async getDelay(email) {
+    const failures = parseInt(
+      await redisClient.get(this.getAccountFailKey(this.normalizeEmail(email))),
+      10
+    ) || 0;
+
+    if (failures <= this.DELAY_THRESHOLD) return 0;
+    return Math.min(this.BASE_DELAY * 2 ** (failures - this.DELAY_THRESHOLD - 1), this.MAX_DELAY);
+  }
+
+  // 실패 기록 - 허용 횟수를 넘으면 잠금 설정
+  static async recordFailure(email, ipAddress) {
+    const normalizedEmail = this.normalizeEmail(email);
+    const accountFailKey = this.getAccountFailKey(normalizedEmail);
+    const ipFailKey = this.getIpFailKey(ipAddress);
+
+    const [accountFailures, ipFailures] = await Promise.all([
+      redisClient.incr(accountFailKey),
+      redisClient.incr(ipFailKey)
+    ]);
+
+    // 첫 실패 시점부터 집계 기간 시작
+    if (accountFailures === 1) {
+      await redisClient.expire(accountFailKey, loginAttemptWindow);
+    }
+    if (ipFailures === 1) {
+      await redisClient.expire(ipFailKey, loginAttemptWindow);
+    }
+
+    let accountLocked = false;
+    if (accountFailures >= loginMaxAttempts) {
+      accountLocked = !!(await redisClient.set(
+        this.getAccountLockKey(normalizedEmail),
+        Date.now(),
+        { nx: true, ttl: loginLockoutDuration }
+      ));
+      await redisClient.del(accountFailKey);
+    }
+
+    if (ipFailures >= loginMaxAttemptsPerIp) {
+      await redisClient.setEx(this.getIpLockKey(ipAddress), loginLockoutDuration, Date.now());
+      await redisClient.del(ipFailKey);
+    }
+
+    return {
+      failures: accountFailures,
+      remainingAttempts: Math.max(loginMaxAttempts - accountFailures, 0),
+      accountLocked,
+      lockedUntil: accountLocked ? Date.now() + loginLockoutDuration * 1000 : null
+    };
+  }
+
+  // 로그인 성공 시 계정 실패 횟수 초기화
+  static async reset(email) {
+    await redisClient.del(this.getAccountFailKey(this.normalizeEmail(email)));
+  }
+
+  static getAccountFailKey(email) {
+    return `${this.ACCOUNT_FAIL_PREFIX}${email}`;
+  }
+
+  static getIpFailKey(ipAddress) {
+    return `${this.IP_FAIL_PREFIX}${ipAddress}`;
+  }
+
+  static getAccountLockKey(email) {
+    return `${this.ACCOUNT_LOCK_PREFIX}${email}`;
+  }
+
+  static getIpLockKey(ipAddress) {
+    return `${this.IP_LOCK_PREFIX}${ipAddress}`;
+  }
+}
+
+module.exports = LoginAttemptService;
@@ -0,0 +1,97 @@
+const { mailTransport, mailFrom, mailOutboxDir, clientUrl } = require('../config/keys');
+const { ConsoleTransport, FileTransport } = require('../utils/mailTransports');
+
+class MailService {
+  static transport = null;
+
+  // 설정에 따른 기본 전송 방식 생성
+  static createTransport(type = mailTransport) {
+    switch (type) {
+      case 'file':
+        return new FileTransport(mailOutboxDir);
+      case 'console':
+        return new ConsoleTransport();
+      default:
+        throw new Error(`지원하지 않는 메일 전송 방식입니다: ${type}`);
+    }
+  }
+
+  // 외부 전송 방식(SMTP, SES 등) 또는 테스트용 전송 방식 등록
+  static setTransport(transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('메일 전송 객체는 send 메서드를 구현해야 합니다.');
+    }
+    this.transport = transport;
+  }
+
+  static getTransport() {
+    if (!this.transport) {
+      this.transport = this.createTransport();
+    }
+    return this.transport;
+  }
+
+  static async send({ to, subject, text, html }) {
+    try {
+      if (!to || !subject) {
+        throw new Error('수신자와 제목은 필수입니다.');
+      }
+
+      return await this.getTransport().send({
+        from: mailFrom,
+        to,
+        subject,
+        text,
+        html
+      });
+    } catch (error) {
+      console.error('Mail send error:', error);
+      throw error;
+    }
+  }
+
+  static buildClientUrl(pathname, params = {}) {
+    const url = new URL(pathname, clientUrl);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+
+  static async sendEmailVerification(user, token, expiresInSeconds) {
+    const verifyUrl = this.buildClientUrl('/verify-email', { token });
+    const hours = Math.round(expiresInSeconds / 3600);
+
+    return this.send({
+      to: user.email,
+      subject: '[BootcampChat] 이메일 인증 안내',
+      text: [
+        `${user.name}님, 가입해주셔서 감사합니다.`,
+        '',
+        '아래 링크에서 이메일 인증을 완료해주세요.',
+        verifyUrl,
+        '',
+        `이 링크는 ${hours}시간 동안 유효합니다.`
+      ].join('\n')
+    });
+  }
+
+  static async sendPasswordReset(user, token, expiresInSeconds) {
+    const resetUrl = this.buildClientUrl('/reset-password', { token });
+    const minutes = Math.round(expiresInSeconds / 60);
+
+    return this.send({
+      to: user.email,
+      subject: '[BootcampChat] 비밀번호 재설정 안내',
+      text: [
+        `${user.name}님, 안녕하세요.`,
+        '',
+        '아래 링크에서 비밀번호를 재설정할 수 있습니다.',
+        resetUrl,
+        '',
+        `이 링크는 ${minutes}분 동안 한 번만 사용할 수 있습니다.`,
+        '본인이 요청하지 않았다면 이 메일을 무시해주세요.'
+      ].join('\n')
+    });
+  }
+}
+
+module.exports = MailService;
@@ -0,0 +1,319 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const redisClient = require('../utils/redisClient');
+const { oidcProviders, oidcStateTtl } = require('../config/keys');
+
+// 컨트롤러에서 status/code로 응답할 수 있는 에러 생성
+const createOidcError = (code, message, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.isOidcError = true;
+  return error;
+};
+
+class OidcService {
+  static STATE_PREFIX = 'oidc_state:';
+  static JWKS_CACHE_TTL = 60 * 60 * 1000; // 1시간
+  static ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384', 'ES512'];
+  static jwksCache = new Map();
+
+  static base64Url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  // 공개 가능한 제공자 목록 (클라이언트 시크릿 제외)
+  static listProviders() {
+    return oidcProviders.map(provider => ({
+      id: provider.id,
+      name: provider.name || provider.id
+    }));
+  }
+
+  static getProvider(providerId) {
+    const provider = oidcProviders.find(item => item.id === providerId);
+    if (!provider) {
+      throw createOidcError('UNKNOWN_PROVIDER', '지원하지 않는 로그인 제공자입니다.', 404);
+    }
+    return provider;
+  }
+
+  // 인가 요청 URL 생성 (state, nonce, PKCE code_verifier는 서버에 보관)
+  static async createAuthorizationRequest(providerId, { mode = 'login', userId = null } = {}) {
+    const provider = this.getProvider(providerId);
+
+    const state = this.base64Url(crypto.randomBytes(32));
+    const nonce = this.base64Url(crypto.randomBytes(16));
+    const codeVerifier = this.base64Url(crypto.randomBytes(32));
+    const codeChallenge = this.base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await redisClient.setEx(`${this.STATE_PREFIX}${state}`, oidcStateTtl, JSON.stringify({
+      providerId,
+      codeVerifier,
+      nonce,
+      mode,
+      userId: userId ? userId.toString() : null
+    }));
+
+    const url = new URL(provider.authorizationEndpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', provider.redirectUri);
+    url.searchParams.set('scope', provider.scope || 'openid email profile');
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return { authorizationUrl: url.toString(), state, expiresIn: oidcStateTtl };
+  }
+
+  // 콜백 처리: state 확인 후 code 교환, ID 토큰 검증, 사용자 클레임 반환
+  // 계정 연결(link) 요청은 흐름을 시작한 로그인 사용자만 완료할 수 있음
+  static async handleCallback(providerId, { code, state }, { mode = 'login', userId = null } = {}) {
+    if (!code || !state) {
+      throw createOidcError('INVALID_CALLBACK', '인증 응답이 올바르지 않습니다.');
+    }
+
+    const stateKey = `${this.STATE_PREFIX}${state}`;
+    const stateData = await redisClient.get(stateKey);
+    await redisClient.del(stateKey);
+
+    if (!stateData || typeof stateData !== 'object' || stateData.providerId !== providerId) {
+      throw createOidcError('INVALID_STATE', '인증 요청이 만료되었거나 올바르지 않습니다.');
+    }
+
+    if (stateData.mode !== mode ||
+      (mode === 'link' && (!userId || stateData.userId !== userId.toString()))) {
+      throw createOidcError('INVALID_STATE', '인증 요청이 만료되었거나 올바르지 않습니다.');
+    }
+
+    const provider = this.getProvider(providerId);
+    const tokens = await this.exchangeCode(provider, code, stateData.codeVerifier);
+    const claims = await this.verifyIdToken(provider, tokens.id_token, stateData.nonce);
+
+    // ID 토큰에 이메일이 없으면 userinfo 엔드포인트에서 보완
+    if (!claims.email && provider.userinfoEndpoint && tokens.access_token) {
+      const userinfo = await this.fetchUserinfo(provider, tokens.access_token);
+      if (userinfo.sub !== claims.sub) {
+        throw createOidcError('INVALID_USERINFO', '사용자 정보가 일치하지 않습니다.');
+      }
+      Object.assign(claims, userinfo);
+    }
+
+    return { claims, stateData };
+  }
+
+  static async exchangeCode(provider, code, codeVerifier) {
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: codeVerifier
+    });
+
+    if (provider.clientSecret) {
+      params.set('client_secret', provider.clientSecret);
+    }
+
+    try {
+      const response = await axios.post(provider.tokenEndpoint, params.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000
+      });
+
+      if (!response.data?.id_token) {
+        throw createOidcError('INVALID_TOKEN_RESPONSE', 'ID 토큰을 받지 못했습니다.', 502);
+      }
+      return response.data;
+    } catch (error) {
+      if (error.isOidcError) throw error;
+      console.error('OIDC token exchange error:', error.response?.data || error.message);
+      throw createOidcError('TOKEN_EXCHANGE_FAILED', '인증 코드 교환에 실패했습니다.', 502);
+    }
+  }
+
+  static async fetchUserinfo(provider, accessToken) {
+    try {
+      const response = await axios.get(provider.userinfoEndpoint, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: 10000
+      });
+      return response.data || {};
+    } catch (error) {
+      console.error('OIDC userinfo error:', error.response?.data || error.message);
+      throw createOidcError('USERINFO_FAILED', '사용자 정보를 가져오지 못했습니다.', 502);
+    }
+  }
+
+  static async getSigningKey(provider, kid) {
+    const cached = this.jwksCache.get(provider.id);
+    let keys = cached && Date.now() - cached.fetchedAt < this.JWKS_CACHE_TTL ? cached.keys : null;
+
+    // 캐시에 없는 kid면 키 교체 가능성이 있으므로 다시 조회
+    if (!keys || !keys.some(key => key.kid === kid)) {
+      const response = await axios.get(provider.jwksUri, { timeout: 10000 });
+      keys = response.data?.keys || [];
+      this.jwksCache.set(provider.id, { keys, fetchedAt: Date.now() });
+    }
+
+    const jwk = kid ? keys.find(key => key.kid === kid) : keys[0];
+    if (!jwk) {
+      throw createOidcError('SIGNING_KEY_NOT_FOUND', 'ID 토큰 서명 키를 찾을 수 없습니다.', 502);
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  // ID 토큰 검증 (제공자 JWKS 공개키로 서명 확인)
+  static async verifyIdToken(provider, idToken, nonce) {
+    const verifyOptions = {
+      audience: provider.clientId,
+      issuer: provider.issuer,
+      algorithms: this.ID_TOKEN_ALGORITHMS
+    };
+
+    let claims;
+    try {
+      const decoded = jwt.decode(idToken, { complete: true });
+      const key = await this.getSigningKey(provider, decoded?.header?.kid);
+      claims = jwt.verify(idToken, key, verifyOptions);
+    } catch (error) {
+      if (error.isOidcError) throw error;
+      console.error('OIDC ID token verification error:', error.message);
+      throw createOidcError('INVALID_ID_TOKEN', 'ID 토큰 검증에 실패했습니다.', 401);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw createOidcError('INVALID_NONCE', 'ID 토큰 검증에 실패했습니다.', 401);
+    }
+
+    if (!claims.sub) {
+      throw createOidcError('INVALID_ID_TOKEN', 'ID 토큰 검증에 실패했습니다.', 401);
+    }
+
+    return claims;
+  }
+
+  static isEmailVerified(claims) {
+    return claims.email_verified === true || claims.email_verified === 'true';
+  }
+
+  // 외부 계정으로 사용자 조회 → 검증된 이메일로 기존(이메일 인증 완료) 계정 연결 → 없으면 새로 생성
+  static async findOrCreateUser(providerId, claims) {
+    const linkedUser = await User.findOne({
+      identities: { $elemMatch: { provider: providerId, subject: claims.sub } }
+    });
+    if (linkedUser) {
+      return { user: linkedUser, created: false, linked: false };
+    }
+
+    if (!claims.email || !this.isEmailVerified(claims)) {
+      throw createOidcError('EMAIL_NOT_VERIFIED', '인증된 이메일이 있는 계정으로만 로그인할 수 있습니다.', 403);
+    }
+
+    const email = String(claims.email).toLowerCase().trim();
+    const identity = { provider: providerId, subject: claims.sub, email, linkedAt: new Date() };
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      // 이메일 소유가 확인되지 않은 계정은 제3자가 먼저 만든 계정일 수 있으므로 자동 연결하지 않음
+      if (!existingUser.emailVerified) {
+        throw createOidcError(
+          'ACCOUNT_NOT_VERIFIED',
+          '이메일 인증이 완료되지 않은 계정이 이미 있습니다. 이메일 인증 후 다시 시도하거나 로그인 후 외부 계정을 연결해주세요.',
+          409
+        );
+      }
+
+      existingUser.identities.push(identity);
+      await existingUser.save();
+      return { user: existingUser, created: false, linked: true };
+    }
+
+    const fallbackName = email.split('@')[0];
+    const name = String(claims.name || claims.preferred_username || fallbackName).trim();
+
+    // 비밀번호 로그인은 사용하지 않는 계정 (비밀번호 재설정으로 나중에 설정 가능)
+    const user = new User({
+      name: name.length >= 2 ? name : `${fallbackName}_user`,
+      email,
+      password: `${this.base64Url(crypto.randomBytes(24))}Aa1!`,
+      passwordSet: false,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      identities: [identity]
+    });
+    await user.save();
+
+    return { user, created: true, linked: true };
+  }
+
+  // 로그인된 사용자에게 외부 계정 연결
+  static async linkIdentity(userId, providerId, claims) {
+    const owner = await User.findOne({
+      identities: { $elemMatch: { provider: providerId, subject: claims.sub } }
+    }).select('_id');
+
+    if (owner && owner._id.toString() !== userId.toString()) {
+      throw createOidcError('IDENTITY_ALREADY_LINKED', '이미 다른 계정에 연결된 외부 계정입니다.', 409);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw createOidcError('USER_NOT_FOUND', '사용자를 찾을 수 없습니다.', 404);
+    }
+
+    if (user.identities.some(identity => identity.provider === providerId)) {
+      throw createOidcError('PROVIDER_ALREADY_LINKED', '이미 연결된 로그인 제공자입니다.', 409);
+    }
+
+    const identity = {
+      provider: providerId,
+      subject: claims.sub,
+      email: claims.email ? String(claims.email).toLowerCase() : undefined,
+      linkedAt: new Date()
+    };
+    user.identities.push(identity);
+    await user.save();
+
+    return identity;
+  }
+
+  // 외부 계정 연결 해제 (다른 로그인 수단이 남아 있어야 함)
+  static async unlinkIdentity(userId, providerId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw createOidcError('USER_NOT_FOUND', '사용자를 찾을 수 없습니다.', 404);
+    }
+
+    const hasIdentity = user.identities.some(identity => identity.provider === providerId);
+    if (!hasIdentity) {
+      throw createOidcError('IDENTITY_NOT_FOUND', '연결되지 않은 로그인 제공자입니다.', 404);
+    }
+
+    if (!user.passwordSet && user.identities.length === 1) {
+      throw createOidcError(
+        'LAST_LOGIN_METHOD',
+        '다른 로그인 수단이 없어 연결을 해제할 수 없습니다. 먼저 비밀번호를 설정해주세요.',
+        400
+      );
+    }
+
+    user.identities = user.identities.filter(identity => identity.provider !== providerId);
+    await user.save();
+  }
+
+  static formatIdentities(user) {
+    return (user.identities || []).map(identity => ({
+      provider: identity.provider,
+      email: identity.email,
+      linkedAt: identity.linkedAt
+    }));
+  }
+}
+
+module.exports = OidcService;
@@ -0,0 +1,23 @@
+const TokenService = require('./tokenService');
+const MailService = require('./mailService');
+const { passwordResetTtl } = require('../config/keys');
+
+class PasswordResetService {
+  static TOKEN_PURPOSE = 'password_reset';
+
+  // 재설정 토큰 발급 후 메일 전송 (이전에 발급된 재설정 링크는 무효화)
+  static async sendResetEmail(user) {
+    const resetToken = user.generateVerificationToken();
+    await TokenService.storeOneTimeToken(this.TOKEN_PURPOSE, resetToken, user._id, passwordResetTtl);
+
+    try {
+      await MailService.sendPasswordReset(user, resetToken, passwordResetTtl);
+      return true;
+    } catch (mailError) {
+      console.error('Password reset mail error:', mailError);
+      return false;
+    }
+  }
+}
+
+module.exports = PasswordResetService;
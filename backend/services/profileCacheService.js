@@ -10,23 +10,66 @@ class ProfileCacheService {
     return `${this.CACHE_PREFIX}${userId}`;
   }
 
-  // 프로필 포맷팅
-  static formatProfile(user) {
+  // 프로필 포맷팅 - 캐시에는 본인용 전체 프로필(audience: self)을 저장하고 조회 시 보는 사람에 맞게 걸러서 제공
+  static formatProfile(user, audience = 'self') {
     if (!user) return null;
-    
-    return {
+
+    const visibility = {};
+    User.PROFILE_FIELDS.forEach(field => {
+      visibility[field] = user.profileVisibility?.[field] || 'everyone';
+    });
+
+    return this.filterProfile({
       id: user._id || user.id,
       name: user.name,
       email: user.email,
       profileImage: user.profileImage || '',
+      handle: user.handle || null,
+      bio: user.bio || '',
+      statusMessage: user.statusMessage || '',
+      timezone: user.timezone || '',
+      locale: user.locale || '',
+      pronouns: user.pronouns || '',
+      profileVisibility: visibility,
+      emailVerified: !!user.emailVerified,
+      twoFactorEnabled: !!user.twoFactorEnabled,
+      role: user.role || 'user',
+      deletionScheduledFor: user.deletionScheduledFor || null,
       lastActive: user.lastActive,
       createdAt: user.createdAt
+    }, audience);
+  }
+
+  // 보는 사람에 따라 프로필 필드 제한
+  // audience: self(본인), room_members(같은 채팅방 참여자), everyone(그 외)
+  // 이메일, 보안 설정, 공개 범위 설정은 본인에게만 제공
+  static filterProfile(profile, audience = 'everyone') {
+    if (!profile || audience === 'self') return profile;
+
+    const visible = (field) => {
+      const setting = profile.profileVisibility?.[field] || 'everyone';
+      return setting === 'everyone' || (setting === 'room_members' && audience === 'room_members');
+    };
+
+    const filtered = {
+      id: profile.id,
+      name: profile.name,
+      profileImage: profile.profileImage,
+      role: profile.role
     };
+
+    User.PROFILE_FIELDS.forEach(field => {
+      if (visible(field) && profile[field]) {
+        filtered[field] = profile[field];
+      }
+    });
+
+    return filtered;
   }
 
   // 단일 프로필 캐시 조회
   static async getProfile(userId, options = {}) {
-    const { ttl = this.DEFAULT_TTL } = options;
+    const { ttl = this.DEFAULT_TTL, audience = 'self' } = options;
     
     try {
       if (!userId) {
@@ -40,8 +83,9 @@ class ProfileCacheService {
         const cachedProfile = await redisClient.get(cacheKey);
         if (cachedProfile) {
           console.log(`프로필 캐시 hit : ${userId}`);
+          const profile = typeof cachedProfile === 'string' ? JSON.parse(cachedProfile) : cachedProfile;
           return {
-            profile: typeof cachedProfile === 'string' ? JSON.parse(cachedProfile) : cachedProfile,
+            profile: this.filterProfile(profile, audience),
             fromCache: true
           };
         }
@@ -67,7 +111,7 @@ class ProfileCacheService {
         console.error('Cache write error:', cacheError);
       }
 
-      return { profile: formattedProfile, fromCache: false };
+      return { profile: this.filterProfile(formattedProfile, audience), fromCache: false };
 
     } catch (error) {
       console.error('Profile cache service error:', error);
@@ -75,6 +119,57 @@ class ProfileCacheService {
     }
   }
 
+  // 여러 프로필 일괄 조회 - 캐시는 MGET 한 번, 누락분은 DB $in 조회 한 번, 캐시 저장은 파이프라인으로 처리
+  // 반환값: Map(userId => 프로필), 존재하지 않는 사용자는 포함되지 않음
+  static async getProfiles(userIds, options = {}) {
+    const { ttl = this.DEFAULT_TTL, audience = 'self' } = options;
+    const ids = [...new Set((userIds || []).filter(Boolean).map(id => id.toString()))];
+    const profiles = new Map();
+
+    if (ids.length === 0) return profiles;
+
+    let missingIds = ids;
+    try {
+      const cached = await redisClient.mGet(ids.map(id => this.getCacheKey(id)));
+      missingIds = [];
+      ids.forEach((id, index) => {
+        const value = cached[index];
+        if (value) {
+          profiles.set(id, typeof value === 'string' ? JSON.parse(value) : value);
+        } else {
+          missingIds.push(id);
+        }
+      });
+    } catch (cacheError) {
+      console.error('Cache read error:', cacheError);
+    }
+
+    if (missingIds.length > 0) {
+      const users = await User.find({ _id: { $in: missingIds } }).select('-password').lean();
+      const entries = users.map(user => {
+        const profile = this.formatProfile(user);
+        profiles.set(user._id.toString(), profile);
+        return [this.getCacheKey(user._id), JSON.stringify(profile)];
+      });
+
+      try {
+        await redisClient.setExMany(entries, ttl);
+      } catch (cacheError) {
+        console.error('Cache write error:', cacheError);
+      }
+    }
+
+    console.log(`프로필 일괄 조회 : ${ids.length}명 (캐시 miss ${missingIds.length}명)`);
+
+    if (audience !== 'self') {
+      profiles.forEach((profile, id) => {
+        profiles.set(id, this.filterProfile(profile, audience));
+      });
+    }
+
+    return profiles;
+  }
+
   // 프로필 캐시 업데이트
   static async updateProfile(userId, profileData, options = {}) {
     const { ttl = this.DEFAULT_TTL } = options;
@@ -0,0 +1,107 @@
+const User = require('../models/User');
+const EmailVerificationService = require('./emailVerificationService');
+const PasswordPolicy = require('../utils/passwordPolicy');
+
+class RegistrationService {
+  // 회원가입, 비밀번호 재설정, 인증 메일 재전송 공통 이메일 형식
+  static EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  // 회원가입 입력값 검증 - [{ field, message }] 형식으로 반환
+  static validate({ name, email, password }) {
+    const errors = [];
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      errors.push({
+        field: 'name',
+        message: '이름을 입력해주세요.'
+      });
+    } else if (name.trim().length < 2) {
+      errors.push({
+        field: 'name',
+        message: '이름은 2자 이상이어야 합니다.'
+      });
+    }
+
+    if (!email || typeof email !== 'string') {
+      errors.push({
+        field: 'email',
+        message: '이메일을 입력해주세요.'
+      });
+    } else if (!this.EMAIL_PATTERN.test(email.trim())) {
+      errors.push({
+        field: 'email',
+        message: '올바른 이메일 형식이 아닙니다.'
+      });
+    }
+
+    errors.push(...PasswordPolicy.validate(password, { name, email }));
+
+    return errors;
+  }
+
+  // 검증, 중복 확인, 사용자 생성, 인증 메일 전송
+  static async register({ name, email, password }) {
+    const errors = this.validate({ name, email, password });
+    if (errors.length > 0) {
+      return { success: false, status: 400, errors };
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return {
+        success: false,
+        status: 409,
+        message: '이미 가입된 이메일입니다.'
+      };
+    }
+
+    // 비밀번호 해싱은 User 스키마의 pre-save 훅에서 처리
+    const user = new User({
+      name: name.trim(),
+      email: normalizedEmail,
+      password,
+      profileImage: ''
+    });
+
+    try {
+      await user.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return {
+          success: false,
+          status: 400,
+          errors: Object.values(error.errors).map(err => ({
+            field: err.path,
+            message: err.message
+          }))
+        };
+      }
+
+      // 동시 가입으로 인한 unique 인덱스 충돌
+      if (error.code === 11000) {
+        return {
+          success: false,
+          status: 409,
+          message: '이미 가입된 이메일입니다.'
+        };
+      }
+
+      throw error;
+    }
+
+    console.log('User created:', user._id);
+
+    // 인증 메일 전송 (실패해도 가입은 유지)
+    try {
+      await EmailVerificationService.sendVerification(user);
+    } catch (mailError) {
+      console.error('Verification mail error:', mailError);
+    }
+
+    return { success: true, user };
+  }
+}
+
+module.exports = RegistrationService;
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const Room = require('../models/Room');
+const RoomInvite = require('../models/RoomInvite');
+const RoomService = require('./roomService');
+const createError = require('../utils/createError');
+const { clientUrl } = require('../config/keys');
+
+// 채팅방 초대 링크 - 비밀번호를 공유하지 않고 채팅방에 참가시키거나 초대 전용 방에 입장 권한 부여
+class RoomInviteService {
+  static MAX_EXPIRES_IN_HOURS = 30 * 24;
+  static MAX_USES = 1000;
+  static MAX_ACTIVE_INVITES_PER_ROOM = 50;
+
+  static generateCode() {
+    return crypto.randomBytes(8).toString('base64url');
+  }
+
+  static getInviteUrl(code) {
+    return new URL(`/invite/${code}`, clientUrl).toString();
+  }
+
+  static formatInvite(invite) {
+    return {
+      code: invite.code,
+      url: this.getInviteUrl(invite.code),
+      roomId: invite.room?._id || invite.room,
+      createdBy: invite.createdBy,
+      expiresAt: invite.expiresAt,
+      maxUses: invite.maxUses,
+      uses: invite.uses,
+      revoked: !!invite.revokedAt,
+      usable: invite.isUsable(),
+      createdAt: invite.createdAt
+    };
+  }
+
+  // 초대 링크 생성 (expiresInHours, maxUses 생략 시 제한 없음)
+  static async create(room, user, { expiresInHours = null, maxUses = null } = {}) {
+    RoomService.assertPermission(room, user, 'room:invite');
+
+    if (expiresInHours !== null && expiresInHours !== undefined &&
+        (!Number.isInteger(expiresInHours) || expiresInHours < 1 || expiresInHours > this.MAX_EXPIRES_IN_HOURS)) {
+      throw createError(
+        `만료 시간은 1~${this.MAX_EXPIRES_IN_HOURS}시간 사이의 정수여야 합니다.`,
+        'VALIDATION_ERROR',
+        400,
+        'expiresInHours'
+      );
+    }
+
+    if (maxUses !== null && maxUses !== undefined &&
+        (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > this.MAX_USES)) {
+      throw createError(
+        `최대 사용 횟수는 1~${this.MAX_USES} 사이의 정수여야 합니다.`,
+        'VALIDATION_ERROR',
+        400,
+        'maxUses'
+      );
+    }
+
+    const activeCount = await RoomInvite.countDocuments({
+      room: room._id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (activeCount >= this.MAX_ACTIVE_INVITES_PER_ROOM) {
+      throw createError(
+        `채팅방당 초대 링크는 최대 ${this.MAX_ACTIVE_INVITES_PER_ROOM}개까지 만들 수 있습니다.`,
+        'INVITE_LIMIT_EXCEEDED',
+        400
+      );
+    }
+
+    return RoomInvite.create({
+      code: this.generateCode(),
+      room: room._id,
+      createdBy: user.id,
+      expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000) : null,
+      maxUses: maxUses || null
+    });
+  }
+
+  static async list(room, user) {
+    RoomService.assertPermission(room, user, 'room:invite');
+    return RoomInvite.find({ room: room._id, revokedAt: null }).sort({ createdAt: -1 });
+  }
+
+  static async revoke(room, user, code) {
+    RoomService.assertPermission(room, user, 'room:invite');
+
+    const invite = await RoomInvite.findOneAndUpdate(
+      { room: room._id, code, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!invite) {
+      throw createError('초대 링크를 찾을 수 없습니다.', 'INVITE_NOT_FOUND', 404);
+    }
+    return invite;
+  }
+
+  // 초대 링크 조회 - 사용할 수 없는 링크는 사유에 맞는 오류
+  static async findUsable(code) {
+    const invite = typeof code === 'string' ? await RoomInvite.findOne({ code }) : null;
+    if (!invite) {
+      throw createError('초대 링크를 찾을 수 없습니다.', 'INVITE_NOT_FOUND', 404);
+    }
+
+    if (!invite.isUsable()) {
+      throw createError('만료되었거나 더 이상 사용할 수 없는 초대 링크입니다.', 'INVITE_EXPIRED', 410);
+    }
+
+    const room = await Room.findById(invite.room);
+    if (!room) {
+      throw createError('채팅방을 찾을 수 없습니다.', 'ROOM_NOT_FOUND', 404);
+    }
+
+    return { invite, room };
+  }
+
+  // 초대 수락 - 비밀번호 확인 없이 멤버로 추가 (이미 입장 권한이 있으면 사용 횟수를 차감하지 않음)
+  static async accept(code, user, { io = null } = {}) {
+    const { invite, room } = await this.findUsable(code);
+
+    RoomService.assertNotBanned(room, user.id);
+
+    const alreadyMember = RoomService.isMember(room, user.id);
+    if (!alreadyMember) {
+      const now = new Date();
+      const consumed = await RoomInvite.findOneAndUpdate(
+        {
+          _id: invite._id,
+          revokedAt: null,
+          $and: [
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+            { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+          ]
+        },
+        { $inc: { uses: 1 } },
+        { new: true }
+      );
+      if (!consumed) {
+        throw createError('만료되었거나 더 이상 사용할 수 없는 초대 링크입니다.', 'INVITE_EXPIRED', 410);
+      }
+    }
+
+    const updatedRoom = await Room.findByIdAndUpdate(
+      room._id,
+      { $addToSet: { members: user.id, participants: user.id } },
+      { new: true }
+    );
+    await RoomService.notifyParticipants(io, updatedRoom);
+
+    return { room: updatedRoom, alreadyMember };
+  }
+}
+
+module.exports = RoomInviteService;
@@ -0,0 +1,510 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const RoomInvite = require('../models/RoomInvite');
+const ProfileCacheService = require('./profileCacheService');
+const RoomRoles = require('../utils/roomRoles');
+const Roles = require('../utils/roles');
+const createError = require('../utils/createError');
+
+// 만료되지 않은 차단/채팅 금지 기록인지 확인
+const isActive = (restriction) =>
+  !restriction.expiresAt || new Date(restriction.expiresAt).getTime() > Date.now();
+
+// 채팅방 관리(설정 변경, 강퇴, 역할 변경, 삭제) - REST API와 소켓 이벤트에서 같은 규칙으로 사용
+class RoomService {
+  static MAX_NAME_LENGTH = 50;
+  static MAX_PASSWORD_LENGTH = 100;
+
+  // 검증 실패 시 오류 메시지, 통과 시 null
+  static validateName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) return '채팅방 이름을 입력해주세요.';
+    if (trimmed.length > this.MAX_NAME_LENGTH) {
+      return `채팅방 이름은 ${this.MAX_NAME_LENGTH}자를 초과할 수 없습니다.`;
+    }
+    return null;
+  }
+
+  // 빈 값은 비밀번호 없음으로 취급
+  static validatePassword(password) {
+    if (password === undefined || password === null || password === '') return null;
+    if (typeof password !== 'string') return '비밀번호 형식이 올바르지 않습니다.';
+    if (password.length > this.MAX_PASSWORD_LENGTH) {
+      return `비밀번호는 ${this.MAX_PASSWORD_LENGTH}자를 초과할 수 없습니다.`;
+    }
+    return null;
+  }
+
+  static isDirect(room) {
+    return room?.type === 'direct';
+  }
+
+  static isMember(room, userId) {
+    return (room.members || []).some(member => member.toString() === userId?.toString());
+  }
+
+  static assertPermission(room, user, permission) {
+    // 1:1 대화에는 방 관리 기능이 없음 (전역 운영자의 메시지 관리만 허용)
+    if (this.isDirect(room)) {
+      if (permission === 'room:messages' && Roles.hasPermission(user?.role, 'messages:moderate')) {
+        return 'moderator';
+      }
+      throw createError('1:1 대화에서는 사용할 수 없는 기능입니다.', 'ROOM_FORBIDDEN', 403);
+    }
+
+    const role = RoomRoles.getEffectiveRole(room, user);
+    if (!RoomRoles.hasPermission(role, permission)) {
+      throw createError('이 채팅방에서 해당 작업을 수행할 권한이 없습니다.', 'ROOM_FORBIDDEN', 403);
+    }
+    return role;
+  }
+
+  // 강퇴/역할 변경 대상 확인 - 자기 자신이나 같은 등급 이상의 멤버는 대상이 될 수 없음
+  static assertManageable(room, user, actorRole, targetId, { requireMember = true } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      throw createError('사용자를 찾을 수 없습니다.', 'MEMBER_NOT_FOUND', 404);
+    }
+
+    if (targetId === user.id) {
+      throw createError('자기 자신에게는 이 작업을 수행할 수 없습니다.', 'CANNOT_TARGET_SELF', 400);
+    }
+
+    const targetRole = RoomRoles.getMemberRole(room, targetId);
+    if (!targetRole && requireMember) {
+      throw createError('채팅방 멤버를 찾을 수 없습니다.', 'MEMBER_NOT_FOUND', 404);
+    }
+
+    if (targetRole && RoomRoles.hasRole(targetRole, actorRole)) {
+      throw createError('같은 등급 이상의 멤버에게는 이 작업을 수행할 수 없습니다.', 'ROOM_FORBIDDEN', 403);
+    }
+
+    return targetRole;
+  }
+
+  // 채팅방 이름/비밀번호 변경 (비밀번호를 빈 값으로 보내면 해제)
+  static async updateSettings(room, user, { name, password, visibility, io = null }) {
+    if (name === undefined && password === undefined && visibility === undefined) {
+      throw createError('변경할 채팅방 설정이 없습니다.', 'NO_CHANGES', 400);
+    }
+
+    if (name !== undefined) {
+      this.assertPermission(room, user, 'room:rename');
+      const error = this.validateName(name);
+      if (error) throw createError(error, 'VALIDATION_ERROR', 400, 'name');
+      room.name = name.trim();
+    }
+
+    if (password !== undefined) {
+      this.assertPermission(room, user, 'room:password');
+      const error = this.validatePassword(password);
+      if (error) throw createError(error, 'VALIDATION_ERROR', 400, 'password');
+      room.password = password || undefined;
+    }
+
+    if (visibility !== undefined) {
+      this.assertPermission(room, user, 'room:visibility');
+      if (!Room.VISIBILITY.includes(visibility)) {
+        throw createError(`공개 범위는 ${Room.VISIBILITY.join(', ')} 중 하나여야 합니다.`, 'VALIDATION_ERROR', 400, 'visibility');
+      }
+
+      // 초대 전용으로 바뀌어도 현재 참가자와 관리자는 계속 입장할 수 있도록 멤버로 등록
+      if (visibility === 'invite_only' && room.visibility !== 'invite_only') {
+        room.members.addToSet(room.creator, ...room.moderators, ...room.participants);
+      }
+      room.visibility = visibility;
+    }
+
+    // 비밀번호 해싱과 hasPassword 갱신은 Room 모델의 pre-save 훅에서 처리
+    await room.save();
+
+    this.notify(io, room._id, 'roomUpdated', {
+      roomId: room._id,
+      name: room.name,
+      hasPassword: room.hasPassword,
+      visibility: room.visibility,
+      updatedBy: user.id
+    });
+    return room;
+  }
+
+  // 강퇴 - 멤버·참가자·관리자 목록에서 제거하고 소켓을 채팅방에서 내보냄
+  // 반환값의 removedSocketIds는 소켓 서버가 자체 상태를 정리할 때 사용
+  static async kickMember(room, user, targetId, { io = null } = {}) {
+    const actorRole = this.assertPermission(room, user, 'room:kick');
+    this.assertManageable(room, user, actorRole, targetId);
+
+    const updatedRoom = await Room.findByIdAndUpdate(
+      room._id,
+      { $pull: { participants: targetId, moderators: targetId, members: targetId } },
+      { new: true }
+    );
+
+    const removedSocketIds = this.removeUserSockets(io, room._id, targetId, 'kicked');
+    this.notify(io, room._id, 'memberKicked', {
+      roomId: room._id,
+      userId: targetId,
+      kickedBy: user.id
+    });
+    await this.recordAction(io, room._id, user.id, targetId, ({ actor, target }) =>
+      `${target}님이 ${actor}님에 의해 강퇴되었습니다.`
+    );
+    await this.notifyParticipants(io, updatedRoom);
+
+    return { room: updatedRoom, removedSocketIds };
+  }
+
+  // 차단 - 강퇴와 함께 재입장을 막음 (until이 없으면 영구 차단)
+  // 현재 참가하지 않은 사용자도 차단할 수 있음
+  static async banMember(room, user, targetId, { reason = '', until = null, io = null } = {}) {
+    const actorRole = this.assertPermission(room, user, 'room:ban');
+    this.assertManageable(room, user, actorRole, targetId, { requireMember: false });
+
+    const restriction = this.createRestriction(user, targetId, { reason, until, required: false });
+
+    await Room.updateOne({ _id: room._id }, { $pull: { bans: { user: targetId } } });
+    const updatedRoom = await Room.findByIdAndUpdate(
+      room._id,
+      {
+        $push: { bans: restriction },
+        $pull: { participants: targetId, moderators: targetId, members: targetId }
+      },
+      { new: true }
+    );
+
+    const removedSocketIds = this.removeUserSockets(io, room._id, targetId, 'banned');
+    this.notify(io, room._id, 'memberBanned', {
+      roomId: room._id,
+      userId: targetId,
+      expiresAt: restriction.expiresAt,
+      bannedBy: user.id
+    });
+    await this.recordAction(io, room._id, user.id, targetId, ({ actor, target }) =>
+      `${target}님이 ${actor}님에 의해 ${restriction.expiresAt ? '일시 ' : ''}차단되었습니다.`
+    );
+    await this.notifyParticipants(io, updatedRoom);
+
+    return { room: updatedRoom, ban: restriction, removedSocketIds };
+  }
+
+  static async unbanMember(room, user, targetId, { io = null } = {}) {
+    this.assertPermission(room, user, 'room:ban');
+
+    if (!this.getActiveBan(room, targetId)) {
+      throw createError('차단된 사용자가 아닙니다.', 'NOT_BANNED', 404);
+    }
+
+    await Room.updateOne({ _id: room._id }, { $pull: { bans: { user: targetId } } });
+    await this.recordAction(io, room._id, user.id, targetId, ({ actor, target }) =>
+      `${actor}님이 ${target}님의 차단을 해제했습니다.`
+    );
+  }
+
+  // 채팅 금지 - until까지 메시지 전송 불가
+  static async muteMember(room, user, targetId, { reason = '', until, io = null } = {}) {
+    const actorRole = this.assertPermission(room, user, 'room:mute');
+    this.assertManageable(room, user, actorRole, targetId);
+
+    const restriction = this.createRestriction(user, targetId, { reason, until, required: true });
+
+    await Room.updateOne({ _id: room._id }, { $pull: { mutes: { user: targetId } } });
+    await Room.updateOne({ _id: room._id }, { $push: { mutes: restriction } });
+
+    this.notify(io, room._id, 'memberMuted', {
+      roomId: room._id,
+      userId: targetId,
+      expiresAt: restriction.expiresAt,
+      mutedBy: user.id
+    });
+    await this.recordAction(io, room._id, user.id, targetId, ({ actor, target }) =>
+      `${target}님이 ${actor}님에 의해 채팅이 금지되었습니다.`
+    );
+
+    return { mute: restriction };
+  }
+
+  static async unmuteMember(room, user, targetId, { io = null } = {}) {
+    const actorRole = this.assertPermission(room, user, 'room:mute');
+    this.assertManageable(room, user, actorRole, targetId, { requireMember: false });
+
+    if (!this.getActiveMute(room, targetId)) {
+      throw createError('채팅 금지 상태가 아닙니다.', 'NOT_MUTED', 404);
+    }
+
+    await Room.updateOne({ _id: room._id }, { $pull: { mutes: { user: targetId } } });
+
+    this.notify(io, room._id, 'memberUnmuted', {
+      roomId: room._id,
+      userId: targetId,
+      unmutedBy: user.id
+    });
+    await this.recordAction(io, room._id, user.id, targetId, ({ actor, target }) =>
+      `${actor}님이 ${target}님의 채팅 금지를 해제했습니다.`
+    );
+  }
+
+  // 만료되지 않은 차단/채팅 금지 기록 조회
+  static findActiveRestriction(list, userId) {
+    return (list || []).find(item =>
+      item.user?.toString() === userId?.toString() && isActive(item)
+    ) || null;
+  }
+
+  static getActiveBan(room, userId) {
+    return this.findActiveRestriction(room?.bans, userId);
+  }
+
+  static getActiveMute(room, userId) {
+    return this.findActiveRestriction(room?.mutes, userId);
+  }
+
+  static getActiveBans(room) {
+    return (room.bans || []).filter(isActive);
+  }
+
+  // 초대 전용 방은 멤버, 현재 참가자, 방장/관리자(전역 운영자 포함)만 접근 가능
+  // 1:1 대화는 두 멤버만 접근 가능
+  static canAccess(room, user) {
+    if (this.isDirect(room)) return this.isMember(room, user.id);
+    if (room.visibility !== 'invite_only') return true;
+    if (RoomRoles.getEffectiveRole(room, user)) return true;
+    return this.isMember(room, user.id);
+  }
+
+  // 채팅방 목록 조회 시 접근 가능한 방만 포함하는 조건 (1:1 대화는 목록에서 제외)
+  // aggregate에서도 사용하므로 ObjectId로 변환
+  static getAccessFilter(userId) {
+    const id = new mongoose.Types.ObjectId(userId);
+    return {
+      type: { $ne: 'direct' },
+      $or: [
+        { visibility: { $ne: 'invite_only' } },
+        { members: id },
+        { participants: id },
+        { moderators: id },
+        { creator: id }
+      ]
+    };
+  }
+
+  // 멤버 목록 도입 이전 방이나 접속자 목록에만 있는 사용자를 멤버로 등록 (시작 시 실행, 반복 실행해도 안전)
+  static async backfillMembers() {
+    const result = await Room.updateMany(
+      {
+        type: { $ne: 'direct' },
+        $expr: {
+          $not: {
+            $setIsSubset: [
+              { $ifNull: ['$participants', []] },
+              { $ifNull: ['$members', []] }
+            ]
+          }
+        }
+      },
+      [{
+        $set: {
+          members: {
+            $setUnion: [
+              { $ifNull: ['$members', []] },
+              { $ifNull: ['$participants', []] },
+              { $ifNull: ['$moderators', []] },
+              ['$creator']
+            ]
+          }
+        }
+      }]
+    );
+    return result.modifiedCount || 0;
+  }
+
+  // 입장 가능 여부 확인 (1:1 대화, 차단, 초대 전용, 비밀번호)
+  // 비밀번호 방은 이미 멤버·참가자인 경우만 통과 - 처음 입장은 REST 참가(비밀번호 확인)나 초대 링크로만 가능
+  static assertCanJoin(room, user, { checkPassword = true } = {}) {
+    if (this.isDirect(room)) {
+      if (!this.isMember(room, user.id)) {
+        throw createError('다른 사용자의 1:1 대화에는 참가할 수 없습니다.', 'ROOM_FORBIDDEN', 403);
+      }
+      return;
+    }
+
+    this.assertNotBanned(room, user.id);
+
+    if (!this.canAccess(room, user)) {
+      throw createError('초대받은 사용자만 입장할 수 있는 채팅방입니다.', 'INVITE_REQUIRED', 403);
+    }
+
+    const joined = this.isMember(room, user.id) ||
+      (room.participants || []).some(participant => participant.toString() === user.id);
+    if (checkPassword && room.hasPassword && !joined) {
+      throw createError('비밀번호 확인 후 입장할 수 있는 채팅방입니다.', 'PASSWORD_REQUIRED', 403);
+    }
+  }
+
+  // 차단된 사용자의 입장 시도 시 사용
+  static assertNotBanned(room, userId) {
+    const ban = this.getActiveBan(room, userId);
+    if (ban) {
+      const error = createError(
+        ban.expiresAt
+          ? `이 채팅방에서 차단되어 ${new Date(ban.expiresAt).toLocaleString('ko-KR')}까지 입장할 수 없습니다.`
+          : '이 채팅방에서 차단되어 입장할 수 없습니다.',
+        'BANNED_FROM_ROOM',
+        403
+      );
+      error.expiresAt = ban.expiresAt;
+      throw error;
+    }
+  }
+
+  // 채팅 금지된 사용자의 메시지 전송 시 사용
+  static assertNotMuted(room, userId) {
+    const mute = this.getActiveMute(room, userId);
+    if (mute) {
+      const error = createError(
+        `채팅이 금지되어 ${new Date(mute.expiresAt).toLocaleString('ko-KR')}까지 메시지를 보낼 수 없습니다.`,
+        'MUTED',
+        403
+      );
+      error.expiresAt = mute.expiresAt;
+      throw error;
+    }
+  }
+
+  static createRestriction(user, targetId, { reason, until, required }) {
+    if (typeof reason !== 'string' || reason.length > 500) {
+      throw createError('사유는 500자를 초과할 수 없습니다.', 'VALIDATION_ERROR', 400, 'reason');
+    }
+
+    const expiresAt = until ? new Date(until) : null;
+    if ((required && !expiresAt) || (expiresAt && (Number.isNaN(expiresAt.getTime()) || expiresAt.getTime() <= Date.now()))) {
+      throw createError(
+        required ? '해제 시각(until)은 필수이며 미래의 올바른 날짜여야 합니다.' : '해제 시각은 미래의 올바른 날짜여야 합니다.',
+        'VALIDATION_ERROR',
+        400,
+        'until'
+      );
+    }
+
+    return {
+      user: targetId,
+      reason: reason.trim(),
+      expiresAt,
+      createdBy: user.id,
+      createdAt: new Date()
+    };
+  }
+
+  // 역할 변경 - owner 지정 시 방장 위임 (기존 방장은 관리자로 변경)
+  static async setMemberRole(room, user, targetId, role, { io = null } = {}) {
+    if (!RoomRoles.isValid(role)) {
+      throw createError(`역할은 ${RoomRoles.ROLES.join(', ')} 중 하나여야 합니다.`, 'VALIDATION_ERROR', 400, 'role');
+    }
+
+    const actorRole = this.assertPermission(room, user, 'room:roles');
+    this.assertManageable(room, user, actorRole, targetId);
+
+    let updatedRoom;
+    if (role === 'owner') {
+      await Room.updateOne(
+        { _id: room._id },
+        { $set: { creator: targetId }, $addToSet: { moderators: room.creator } }
+      );
+      updatedRoom = await Room.findByIdAndUpdate(
+        room._id,
+        { $pull: { moderators: targetId } },
+        { new: true }
+      );
+    } else {
+      updatedRoom = await Room.findByIdAndUpdate(
+        room._id,
+        role === 'moderator'
+          ? { $addToSet: { moderators: targetId } }
+          : { $pull: { moderators: targetId } },
+        { new: true }
+      );
+    }
+
+    this.notify(io, room._id, 'memberRoleUpdated', {
+      roomId: room._id,
+      userId: targetId,
+      role,
+      updatedBy: user.id
+    });
+    await this.notifyParticipants(io, updatedRoom);
+
+    return updatedRoom;
+  }
+
+  static async deleteRoom(room, user, { io = null } = {}) {
+    this.assertPermission(room, user, 'room:delete');
+
+    await Message.deleteMany({ room: room._id.toString() });
+    await RoomInvite.deleteMany({ room: room._id });
+    await Room.deleteOne({ _id: room._id });
+
+    this.notify(io, room._id, 'roomDeleted', {
+      roomId: room._id,
+      deletedBy: user.id
+    });
+    if (io) {
+      io.in(room._id.toString()).socketsLeave(room._id.toString());
+    }
+  }
+
+  // 참가자 프로필 목록 (채팅방 내 역할 포함)
+  static async getParticipants(room) {
+    const profiles = await ProfileCacheService.getProfiles(room.participants, { audience: 'room_members' });
+    return room.participants
+      .map(id => profiles.get(id.toString()))
+      .filter(Boolean)
+      .map(profile => ({
+        _id: profile.id,
+        ...profile,
+        roomRole: this.isDirect(room) ? null : RoomRoles.getMemberRole(room, profile.id)
+      }));
+  }
+
+  // 채팅방 소켓 알림 (io가 없는 서비스에서 호출되면 무시)
+  static notify(io, roomId, event, payload) {
+    if (!io) return;
+    io.to(roomId.toString()).emit(event, payload);
+  }
+
+  static async notifyParticipants(io, room) {
+    if (!io) return;
+    this.notify(io, room._id, 'participantsUpdate', await this.getParticipants(room));
+  }
+
+  // 강퇴/차단된 사용자의 소켓을 채팅방에서 내보냄
+  static removeUserSockets(io, roomId, userId, reason) {
+    if (!io) return [];
+
+    const id = roomId.toString();
+    const removed = [];
+    io.sockets.sockets.forEach(socket => {
+      if (socket.user?.id !== userId || !socket.rooms.has(id)) return;
+      socket.emit('removedFromRoom', { roomId: id, reason });
+      socket.leave(id);
+      removed.push(socket.id);
+    });
+    return removed;
+  }
+
+  // 관리 조치를 시스템 메시지로 기록하고 채팅방에 전송
+  static async recordAction(io, roomId, actorId, targetId, format) {
+    const profiles = await ProfileCacheService.getProfiles([actorId, targetId]);
+    const nameOf = (id) => profiles.get(id.toString())?.name || '알 수 없는 사용자';
+
+    const message = await Message.create({
+      room: roomId.toString(),
+      content: format({ actor: nameOf(actorId), target: nameOf(targetId) }),
+      type: 'system',
+      timestamp: new Date()
+    });
+
+    this.notify(io, roomId, 'message', message);
+    return message;
+  }
+}
+
+module.exports = RoomService;
@@ -1,12 +1,13 @@
 const redisClient = require('../utils/redisClient');
 const crypto = require('crypto');
+const { maxSessionsPerUser } = require('../config/keys');
 
 class SessionService {
   static SESSION_TTL = 24 * 60 * 60; // 24 hours
   static SESSION_PREFIX = 'session:';
   static SESSION_ID_PREFIX = 'sessionId:';
   static USER_SESSIONS_PREFIX = 'user_sessions:';
-  static ACTIVE_SESSION_PREFIX = 'active_session:';
+  static MAX_SESSIONS_PER_USER = maxSessionsPerUser;
 
   // 안전한 JSON 직렬화
   static safeStringify(data) {
@@ -70,9 +71,6 @@ class SessionService {
 
   static async createSession(userId, metadata = {}) {
     try {
-      // 기존 세션들 모두 제거
-      await this.removeAllUserSessions(userId);
-
       const sessionId = this.generateSessionId();
       const sessionData = {
         userId,
@@ -87,10 +85,9 @@ class SessionService {
         }
       };
 
-      const sessionKey = this.getSessionKey(userId);
+      const sessionKey = this.getSessionKey(userId, sessionId);
       const sessionIdKey = this.getSessionIdKey(sessionId);
       const userSessionsKey = this.getUserSessionsKey(userId);
-      const activeSessionKey = this.getActiveSessionKey(userId);
 
       // 세션 데이터 저장
       const saved = await this.setJson(sessionKey, sessionData, this.SESSION_TTL);
@@ -100,13 +97,17 @@ class SessionService {
 
       // 세션 ID 매핑 저장 - 문자열 값은 직접 저장
       await redisClient.setEx(sessionIdKey, this.SESSION_TTL, userId.toString());
-      await redisClient.setEx(userSessionsKey, this.SESSION_TTL, sessionId);
-      await redisClient.setEx(activeSessionKey, this.SESSION_TTL, sessionId);
+      await redisClient.sAdd(userSessionsKey, sessionId);
+      await redisClient.expire(userSessionsKey, this.SESSION_TTL);
+
+      // 기기 수 제한 초과 시 가장 오래 사용하지 않은 세션부터 정리
+      const evictedSessions = await this.enforceSessionLimit(userId, sessionId);
 
       return {
         sessionId,
         expiresIn: this.SESSION_TTL,
-        sessionData
+        sessionData,
+        evictedSessions
       };
 
     } catch (error) {
@@ -115,6 +116,25 @@ class SessionService {
     }
   }
 
+  static async enforceSessionLimit(userId, currentSessionId) {
+    const limit = this.MAX_SESSIONS_PER_USER;
+    if (!limit || limit < 1) return [];
+
+    const sessions = await this.getUserSessions(userId);
+    if (sessions.length <= limit) return [];
+
+    const evictedSessions = sessions
+      .filter(session => session.sessionId !== currentSessionId)
+      .sort((a, b) => a.lastActivity - b.lastActivity)
+      .slice(0, sessions.length - limit);
+
+    await Promise.all(
+      evictedSessions.map(session => this.removeSession(userId, session.sessionId))
+    );
+
+    return evictedSessions;
+  }
+
   static async validateSession(userId, sessionId) {
     try {
       if (!userId || !sessionId) {
@@ -125,28 +145,28 @@ class SessionService {
         };
       }
 
-      // 활성 세션 확인
-      const activeSessionKey = this.getActiveSessionKey(userId);
-      const activeSessionId = await redisClient.get(activeSessionKey);
+      // 사용자 세션 목록에 포함되어 있는지 확인
+      const userSessionsKey = this.getUserSessionsKey(userId);
+      const isMember = await redisClient.sIsMember(userSessionsKey, sessionId);
 
-      if (!activeSessionId || activeSessionId !== sessionId) {
+      if (!isMember) {
         console.log('Session validation failed:', {
           userId,
-          sessionId,
-          activeSessionId
+          sessionId
         });
         return {
           isValid: false,
           error: 'INVALID_SESSION',
-          message: '다른 기기에서 로그인되어 현재 세션이 만료되었습니다.'
+          message: '세션이 만료되었거나 종료되었습니다.'
         };
       }
 
       // 세션 데이터 검증
-      const sessionKey = this.getSessionKey(userId);
+      const sessionKey = this.getSessionKey(userId, sessionId);
       const sessionData = await this.getJson(sessionKey);
 
       if (!sessionData) {
+        await redisClient.sRem(userSessionsKey, sessionId);
         return {
           isValid: false,
           error: 'SESSION_NOT_FOUND',
@@ -157,7 +177,7 @@ class SessionService {
       // 세션 만료 시간 검증
       const SESSION_TIMEOUT = 24 * 60 * 60 * 1000; // 24시간
       if (Date.now() - sessionData.lastActivity > SESSION_TIMEOUT) {
-        await this.removeSession(userId);
+        await this.removeSession(userId, sessionId);
         return {
           isValid: false,
           error: 'SESSION_EXPIRED',
@@ -180,8 +200,7 @@ class SessionService {
 
       // 관련 키들의 만료 시간 갱신
       await Promise.all([
-        redisClient.expire(activeSessionKey, this.SESSION_TTL),
-        redisClient.expire(this.getUserSessionsKey(userId), this.SESSION_TTL),
+        redisClient.expire(userSessionsKey, this.SESSION_TTL),
         redisClient.expire(this.getSessionIdKey(sessionId), this.SESSION_TTL)
       ]);
 
@@ -200,32 +219,32 @@ class SessionService {
     }
   }
 
+  static async refreshSession(userId, sessionId) {
+    try {
+      const sessionKey = this.getSessionKey(userId, sessionId);
+      await Promise.all([
+        redisClient.expire(sessionKey, this.SESSION_TTL),
+        redisClient.expire(this.getUserSessionsKey(userId), this.SESSION_TTL),
+        redisClient.expire(this.getSessionIdKey(sessionId), this.SESSION_TTL)
+      ]);
+      return true;
+    } catch (error) {
+      console.error('Session refresh error:', error);
+      return false;
+    }
+  }
+
   static async removeSession(userId, sessionId = null) {
     try {
-      const userSessionsKey = this.getUserSessionsKey(userId);
-      const activeSessionKey = this.getActiveSessionKey(userId);
-
-      if (sessionId) {
-        const currentSessionId = await redisClient.get(userSessionsKey);
-        if (currentSessionId === sessionId) {
-          await Promise.all([
-            redisClient.del(this.getSessionKey(userId)),
-            redisClient.del(this.getSessionIdKey(sessionId)),
-            redisClient.del(userSessionsKey),
-            redisClient.del(activeSessionKey)
-          ]);
-        }
-      } else {
-        const storedSessionId = await redisClient.get(userSessionsKey);
-        if (storedSessionId) {
-          await Promise.all([
-            redisClient.del(this.getSessionKey(userId)),
-            redisClient.del(this.getSessionIdKey(storedSessionId)),
-            redisClient.del(userSessionsKey),
-            redisClient.del(activeSessionKey)
-          ]);
-        }
+      if (!sessionId) {
+        return await this.removeAllUserSessions(userId);
       }
+
+      await Promise.all([
+        redisClient.del(this.getSessionKey(userId, sessionId)),
+        redisClient.del(this.getSessionIdKey(sessionId)),
+        redisClient.sRem(this.getUserSessionsKey(userId), sessionId)
+      ]);
     } catch (error) {
       console.error('Session removal error:', error);
       throw error;
@@ -234,21 +253,17 @@ class SessionService {
 
   static async removeAllUserSessions(userId) {
     try {
-      const activeSessionKey = this.getActiveSessionKey(userId);
       const userSessionsKey = this.getUserSessionsKey(userId);
-      const sessionId = await redisClient.get(userSessionsKey);
+      const sessionIds = await redisClient.sMembers(userSessionsKey);
 
-      const deletePromises = [
-        redisClient.del(activeSessionKey),
-        redisClient.del(userSessionsKey)
-      ];
+      const deletePromises = [redisClient.del(userSessionsKey)];
 
-      if (sessionId) {
+      sessionIds.forEach(sessionId => {
         deletePromises.push(
-          redisClient.del(this.getSessionKey(userId)),
+          redisClient.del(this.getSessionKey(userId, sessionId)),
           redisClient.del(this.getSessionIdKey(sessionId))
         );
-      }
+      });
 
       await Promise.all(deletePromises);
       return true;
@@ -258,14 +273,14 @@ class SessionService {
     }
   }
 
-  static async updateLastActivity(userId) {
+  static async updateLastActivity(userId, sessionId) {
     try {
-      if (!userId) {
-        console.error('updateLastActivity: userId is required');
+      if (!userId || !sessionId) {
+        console.error('updateLastActivity: userId and sessionId are required');
         return false;
       }
 
-      const sessionKey = this.getSessionKey(userId);
+      const sessionKey = this.getSessionKey(userId, sessionId);
       const sessionData = await this.getJson(sessionKey);
 
       if (!sessionData) {
@@ -284,16 +299,10 @@ class SessionService {
       }
 
       // 관련 키들의 만료 시간도 함께 갱신
-      const activeSessionKey = this.getActiveSessionKey(userId);
-      const userSessionsKey = this.getUserSessionsKey(userId);
-      if (sessionData.sessionId) {
-        const sessionIdKey = this.getSessionIdKey(sessionData.sessionId);
-        await Promise.all([
-          redisClient.expire(activeSessionKey, this.SESSION_TTL),
-          redisClient.expire(userSessionsKey, this.SESSION_TTL),
-          redisClient.expire(sessionIdKey, this.SESSION_TTL)
-        ]);
-      }
+      await Promise.all([
+        redisClient.expire(this.getUserSessionsKey(userId), this.SESSION_TTL),
+        redisClient.expire(this.getSessionIdKey(sessionId), this.SESSION_TTL)
+      ]);
 
       return true;
 
@@ -301,43 +310,87 @@ class SessionService {
       console.error('Update last activity error:', error);
       return false;
     }
-  }  
-  
-  static async getActiveSession(userId) {
+  }
+
+  // 사용자의 모든 활성 세션 조회 (만료된 세션 ID는 정리)
+  static async getUserSessions(userId) {
     try {
       if (!userId) {
-        console.error('getActiveSession: userId is required');
-        return null;
+        console.error('getUserSessions: userId is required');
+        return [];
       }
 
-      const activeSessionKey = this.getActiveSessionKey(userId);
-      const sessionId = await redisClient.get(activeSessionKey);
-
-      if (!sessionId) {
-        return null;
+      const userSessionsKey = this.getUserSessionsKey(userId);
+      const sessionIds = await redisClient.sMembers(userSessionsKey);
+      const sessions = [];
+
+      for (const sessionId of sessionIds) {
+        const sessionData = await this.getJson(this.getSessionKey(userId, sessionId));
+        if (!sessionData) {
+          await redisClient.sRem(userSessionsKey, sessionId);
+          continue;
+        }
+        sessions.push(sessionData);
       }
 
-      const sessionKey = this.getSessionKey(userId);
-      const sessionData = await this.getJson(sessionKey);
+      return sessions;
+    } catch (error) {
+      console.error('Get user sessions error:', error);
+      return [];
+    }
+  }
 
-      if (!sessionData) {
-        await redisClient.del(activeSessionKey);
-        return null;
-      }
+  // 현재 세션을 제외한 사용자의 모든 세션 제거
+  static async removeOtherSessions(userId, currentSessionId) {
+    const sessions = await this.getUserSessions(userId);
+    const targets = sessions.filter(session => session.sessionId !== currentSessionId);
 
-      return {
-        ...sessionData,
-        userId,
-        sessionId
-      };
+    await Promise.all(
+      targets.map(session => this.removeSession(userId, session.sessionId))
+    );
+
+    return targets;
+  }
+
+  // 세션 목록 응답용 포맷 (내부 정보 제외)
+  static formatSession(sessionData, currentSessionId = null) {
+    const metadata = sessionData.metadata || {};
+
+    return {
+      sessionId: sessionData.sessionId,
+      userAgent: metadata.userAgent || '',
+      ipAddress: metadata.ipAddress || '',
+      platform: metadata.platform || '',
+      location: metadata.location || '',
+      loginAt: metadata.loginAt || sessionData.createdAt,
+      createdAt: sessionData.createdAt,
+      lastActivity: sessionData.lastActivity,
+      isCurrent: sessionData.sessionId === currentSessionId
+    };
+  }
+
+  // 세션에 연결된 소켓 ID 저장
+  static async setSocketId(userId, sessionId, socketId) {
+    try {
+      const sessionKey = this.getSessionKey(userId, sessionId);
+      const sessionData = await this.getJson(sessionKey);
+      if (!sessionData) return false;
+
+      sessionData.socketId = socketId;
+      return await this.setJson(sessionKey, sessionData, this.SESSION_TTL);
     } catch (error) {
-      console.error('Get active session error:', error);
-      return null;
+      console.error('Set socket id error:', error);
+      return false;
     }
   }
 
-  static getSessionKey(userId) {
-    return `${this.SESSION_PREFIX}${userId}`;
+  static async getSocketId(userId, sessionId) {
+    const sessionData = await this.getJson(this.getSessionKey(userId, sessionId));
+    return sessionData?.socketId || null;
+  }
+
+  static getSessionKey(userId, sessionId) {
+    return `${this.SESSION_PREFIX}${userId}:${sessionId}`;
   }
 
   static getSessionIdKey(sessionId) {
@@ -348,10 +401,6 @@ class SessionService {
     return `${this.USER_SESSIONS_PREFIX}${userId}`;
   }
 
-  static getActiveSessionKey(userId) {
-    return `${this.ACTIVE_SESSION_PREFIX}${userId}`;
-  }
-
   static generateSessionId() {
     return crypto.randomBytes(32).toString('hex');
   }
@@ -0,0 +1,57 @@
+const SessionService = require('./sessionService');
+const TokenService = require('./tokenService');
+
+// 세션 종료와 그에 따른 리프레시 토큰 폐기, 소켓 알림을 한 곳에서 처리
+class SessionTerminationService {
+  // 종료된 세션에 연결된 소켓에 알림 후 연결 해제
+  static notifySessionsEnded(io, sessions, payload) {
+    if (!io) return;
+
+    sessions.forEach(session => {
+      if (!session?.socketId) return;
+      io.to(session.socketId).emit('session_ended', payload);
+      io.in(session.socketId).disconnectSockets(true);
+    });
+  }
+
+  // 사용자의 모든 활성 세션 소켓에 이벤트 전송
+  static async notifyUserSockets(io, userId, event, payload) {
+    if (!io) return;
+
+    const sessions = await SessionService.getUserSessions(userId);
+    sessions.forEach(session => {
+      if (session.socketId) {
+        io.to(session.socketId).emit(event, payload);
+      }
+    });
+  }
+
+  // 지정한 세션 종료, 리프레시 토큰 폐기 후 알림
+  static async endSessions(io, userId, sessions, payload) {
+    await Promise.all(
+      sessions.map(session => SessionService.removeSession(userId, session.sessionId))
+    );
+    await Promise.all(
+      sessions.map(session => TokenService.revokeSessionTokens(session.sessionId))
+    );
+
+    this.notifySessionsEnded(io, sessions, payload);
+    return sessions;
+  }
+
+  // 사용자의 모든 세션과 리프레시 토큰, 이미 발급된 액세스 토큰까지 폐기
+  static async endAllUserSessions(io, userId, payload) {
+    const sessions = await SessionService.getUserSessions(userId);
+
+    await SessionService.removeAllUserSessions(userId);
+    await Promise.all(
+      sessions.map(session => TokenService.revokeSessionTokens(session.sessionId))
+    );
+    await TokenService.revokeUserTokensBefore(userId);
+
+    this.notifySessionsEnded(io, sessions, payload);
+    return sessions;
+  }
+}
+
+module.exports = SessionTerminationService;
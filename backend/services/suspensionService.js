@@ -0,0 +1,93 @@
+const User = require('../models/User');
+const redisClient = require('../utils/redisClient');
+const ProfileCacheService = require('./profileCacheService');
+
+// 계정 정지 처리 - DB에 기록하고, 요청마다 확인할 수 있도록 Redis에도 정지 표시 저장 (DB가 기준)
+class SuspensionService {
+  static SUSPENDED_PREFIX = 'user_suspended:';
+  static ACTIVE_MARKER_TTL = 60; // 정지되지 않은 사용자의 DB 확인 결과 보관 시간 (초)
+
+  static async suspend(userId, { reason = '', until = null, suspendedBy = null } = {}) {
+    const suspendedAt = new Date();
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          suspendedAt,
+          suspendedUntil: until,
+          suspensionReason: reason,
+          suspendedBy
+        }
+      }
+    );
+
+    await this.writeMarker(userId, { reason, until });
+
+    await ProfileCacheService.invalidateProfile(userId);
+    return { suspendedAt, suspendedUntil: until, reason };
+  }
+
+  static async unsuspend(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          suspendedAt: null,
+          suspendedUntil: null,
+          suspensionReason: '',
+          suspendedBy: null
+        }
+      }
+    );
+
+    await this.clearMarker(userId);
+    await ProfileCacheService.invalidateProfile(userId);
+  }
+
+  static async clearMarker(userId) {
+    await redisClient.del(this.getSuspendedKey(userId));
+  }
+
+  // 정지 표시 저장 (기간 정지는 해제 시각에 자동 만료, nx면 기존 표시를 덮어쓰지 않음)
+  static async writeMarker(userId, { reason = '', until = null }, { nx = false } = {}) {
+    const marker = { reason, until: until ? until.toISOString() : null };
+    const ttl = until ? Math.ceil((until.getTime() - Date.now()) / 1000) : undefined;
+    if (ttl !== undefined && ttl <= 0) return;
+
+    await redisClient.set(this.getSuspendedKey(userId), marker, { nx, ttl });
+  }
+
+  // 인증 미들웨어용 확인 - Redis 표시를 우선 확인하고, 표시가 없으면(만료·유실) DB 확인 후 결과를 다시 기록
+  static async isSuspended(userId) {
+    if (!userId) return false;
+
+    const key = this.getSuspendedKey(userId);
+    const marker = await redisClient.get(key);
+    if (marker) return marker.suspended !== false;
+
+    const user = await User.findById(userId).select('suspendedAt suspendedUntil suspensionReason');
+    if (user && user.isSuspended()) {
+      await this.writeMarker(userId, { reason: user.suspensionReason, until: user.suspendedUntil }, { nx: true });
+      return true;
+    }
+
+    // 그 사이 정지 처리된 경우 덮어쓰지 않도록 nx로 기록
+    await redisClient.set(key, { suspended: false }, { nx: true, ttl: this.ACTIVE_MARKER_TTL });
+    return false;
+  }
+
+  static formatSuspension(user) {
+    return {
+      suspendedAt: user.suspendedAt,
+      suspendedUntil: user.suspendedUntil,
+      reason: user.suspensionReason || ''
+    };
+  }
+
+  static getSuspendedKey(userId) {
+    return `${this.SUSPENDED_PREFIX}${userId}`;
+  }
+}
+
+module.exports = SuspensionService;
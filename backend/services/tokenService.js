@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const redisClient = require('../utils/redisClient');
+const jwtKeyRing = require('../utils/jwtKeyRing');
+const Roles = require('../utils/roles');
+const { accessTokenExpiresIn, refreshTokenTtl } = require('../config/keys');
+
+class TokenService {
+  static REFRESH_TOKEN_TTL = refreshTokenTtl;
+  static REFRESH_TOKEN_PREFIX = 'refresh_token:';
+  static REFRESH_USED_PREFIX = 'refresh_token_used:';
+  static REFRESH_FAMILY_PREFIX = 'refresh_family:';
+  static REFRESH_SESSION_PREFIX = 'refresh_session:';
+  static ONE_TIME_TOKEN_PREFIX = 'one_time_token:';
+  static ONE_TIME_USER_PREFIX = 'one_time_token_user:';
+  static ACCESS_DENY_PREFIX = 'access_token_denied:';
+  static ACCESS_REVOKED_BEFORE_PREFIX = 'access_token_revoked_before:';
+
+  // 액세스 토큰(JWT) 발급 - 키 링의 현재 서명 키 사용 (헤더에 kid 포함)
+  static generateAccessToken(userId, sessionId, role) {
+    return jwtKeyRing.sign(
+      {
+        user: { id: userId, role: Roles.normalize(role) },
+        sessionId,
+        jti: crypto.randomUUID(),
+        iat: Math.floor(Date.now() / 1000)
+      },
+      { expiresIn: accessTokenExpiresIn }
+    );
+  }
+
+  // 액세스 토큰 검증 - 만료/위조 시 jsonwebtoken과 같은 에러(TokenExpiredError 등)를 던짐
+  static verifyAccessToken(token) {
+    return jwtKeyRing.verify(token);
+  }
+
+  // 액세스 토큰 폐기 - 남은 유효 기간 동안만 거부 목록에 유지
+  static async revokeAccessToken(payload) {
+    if (!payload?.jti) return false;
+
+    const ttl = (payload.exp || 0) - Math.floor(Date.now() / 1000);
+    if (ttl <= 0) return true;
+
+    await redisClient.setEx(this.getAccessDenyKey(payload.jti), ttl, payload.user?.id || '1');
+    return true;
+  }
+
+  // 지정한 시각(Date 또는 밀리초) 이전에 발급된 사용자의 모든 액세스 토큰 폐기
+  // 기준 시각은 iat와 같은 초 단위로 저장하므로 같은 초에 (재)발급된 토큰은 유지하고,
+  // 기록은 액세스 토큰 최대 유효 기간만큼만 유지
+  static async revokeUserTokensBefore(userId, before = Date.now()) {
+    const key = this.getRevokedBeforeKey(userId);
+    const previous = Number(await redisClient.get(key)) || 0;
+    const revokedBeforeSeconds = Math.floor(new Date(before).getTime() / 1000);
+    const revokedBefore = Math.max(previous, revokedBeforeSeconds);
+
+    await redisClient.setEx(key, jwtKeyRing.toSeconds(accessTokenExpiresIn), revokedBefore);
+    return revokedBefore;
+  }
+
+  static async isAccessTokenRevoked(payload) {
+    if (payload?.jti && await redisClient.get(this.getAccessDenyKey(payload.jti))) {
+      return true;
+    }
+
+    const userId = payload?.user?.id;
+    if (!userId) return false;
+
+    // 둘 다 초 단위 (iat, 폐기 기준 시각)
+    const revokedBefore = Number(await redisClient.get(this.getRevokedBeforeKey(userId))) || 0;
+    return (payload.iat || 0) < revokedBefore;
+  }
+
+  // 새 토큰 패밀리로 리프레시 토큰 발급 (로그인/회원가입 시)
+  static async issueRefreshToken(userId, sessionId, familyId = null) {
+    const token = crypto.randomBytes(48).toString('hex');
+    const tokenHash = this.hashToken(token);
+    const family = familyId || crypto.randomBytes(16).toString('hex');
+
+    const record = {
+      userId: userId.toString(),
+      sessionId,
+      familyId: family,
+      createdAt: Date.now()
+    };
+
+    const familyKey = this.getFamilyKey(family);
+
+    await redisClient.setEx(this.getRefreshTokenKey(tokenHash), this.REFRESH_TOKEN_TTL, JSON.stringify(record));
+    await redisClient.sAdd(familyKey, tokenHash);
+    await redisClient.expire(familyKey, this.REFRESH_TOKEN_TTL);
+    await redisClient.setEx(this.getSessionFamilyKey(sessionId), this.REFRESH_TOKEN_TTL, family);
+
+    return token;
+  }
+
+  // 리프레시 토큰 교체 - 이미 사용된 토큰이 다시 제출되면 패밀리 전체 폐기
+  static async rotateRefreshToken(refreshToken) {
+    const tokenHash = this.hashToken(refreshToken);
+    const record = await redisClient.get(this.getRefreshTokenKey(tokenHash));
+
+    if (!record || typeof record !== 'object') {
+      return {
+        success: false,
+        error: 'INVALID_REFRESH_TOKEN',
+        message: '유효하지 않은 리프레시 토큰입니다.'
+      };
+    }
+
+    const marked = await redisClient.set(
+      this.getUsedKey(tokenHash),
+      Date.now(),
+      { nx: true, ttl: this.REFRESH_TOKEN_TTL }
+    );
+
+    if (!marked) {
+      console.warn('Refresh token reuse detected:', {
+        userId: record.userId,
+        sessionId: record.sessionId,
+        familyId: record.familyId
+      });
+      await this.revokeFamily(record.familyId);
+
+      return {
+        success: false,
+        error: 'REFRESH_TOKEN_REUSED',
+        message: '이미 사용된 리프레시 토큰입니다. 보안을 위해 다시 로그인해주세요.',
+        userId: record.userId,
+        sessionId: record.sessionId
+      };
+    }
+
+    const newRefreshToken = await this.issueRefreshToken(record.userId, record.sessionId, record.familyId);
+
+    return {
+      success: true,
+      userId: record.userId,
+      sessionId: record.sessionId,
+      refreshToken: newRefreshToken
+    };
+  }
+
+  // 토큰 패밀리에 속한 모든 리프레시 토큰 폐기
+  static async revokeFamily(familyId) {
+    try {
+      if (!familyId) return false;
+
+      const familyKey = this.getFamilyKey(familyId);
+      const tokenHashes = await redisClient.sMembers(familyKey);
+
+      await Promise.all([
+        ...tokenHashes.map(tokenHash => redisClient.del(this.getRefreshTokenKey(tokenHash))),
+        redisClient.del(familyKey)
+      ]);
+
+      return true;
+    } catch (error) {
+      console.error('Refresh token family revoke error:', error);
+      return false;
+    }
+  }
+
+  // 세션에 발급된 리프레시 토큰 폐기 (로그아웃 등)
+  static async revokeSessionTokens(sessionId) {
+    try {
+      const sessionFamilyKey = this.getSessionFamilyKey(sessionId);
+      const familyId = await redisClient.get(sessionFamilyKey);
+
+      await redisClient.del(sessionFamilyKey);
+      if (familyId) {
+        await this.revokeFamily(String(familyId));
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Session refresh token revoke error:', error);
+      return false;
+    }
+  }
+
+  // 일회용 토큰 저장 (비밀번호 재설정 등) - 해시만 저장하고 사용자당 최신 토큰만 유효
+  static async storeOneTimeToken(purpose, token, userId, ttl) {
+    const tokenHash = this.hashToken(token);
+    const userKey = this.getOneTimeUserKey(purpose, userId);
+
+    const previousHash = await redisClient.get(userKey);
+    if (previousHash) {
+      await redisClient.del(this.getOneTimeTokenKey(purpose, String(previousHash)));
+    }
+
+    await redisClient.setEx(this.getOneTimeTokenKey(purpose, tokenHash), ttl, userId.toString());
+    await redisClient.setEx(userKey, ttl, tokenHash);
+  }
+
+  // 일회용 토큰 확인 (폐기하지 않음)
+  static async peekOneTimeToken(purpose, token) {
+    if (!token) return null;
+
+    const userId = await redisClient.get(this.getOneTimeTokenKey(purpose, this.hashToken(token)));
+    return userId ? String(userId) : null;
+  }
+
+  // 일회용 토큰 사용 - 유효하면 사용자 ID 반환 후 즉시 폐기
+  static async consumeOneTimeToken(purpose, token) {
+    if (!token) return null;
+
+    const tokenKey = this.getOneTimeTokenKey(purpose, this.hashToken(token));
+    const userId = await redisClient.get(tokenKey);
+    if (!userId) return null;
+
+    // 동시 요청 중 먼저 삭제한 요청만 성공
+    const deleted = await redisClient.del(tokenKey);
+    if (!deleted) return null;
+
+    await redisClient.del(this.getOneTimeUserKey(purpose, userId));
+    return String(userId);
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  static getRefreshTokenKey(tokenHash) {
+    return `${this.REFRESH_TOKEN_PREFIX}${tokenHash}`;
+  }
+
+  static getUsedKey(tokenHash) {
+    return `${this.REFRESH_USED_PREFIX}${tokenHash}`;
+  }
+
+  static getFamilyKey(familyId) {
+    return `${this.REFRESH_FAMILY_PREFIX}${familyId}`;
+  }
+
+  static getSessionFamilyKey(sessionId) {
+    return `${this.REFRESH_SESSION_PREFIX}${sessionId}`;
+  }
+
+  static getOneTimeTokenKey(purpose, tokenHash) {
+    return `${this.ONE_TIME_TOKEN_PREFIX}${purpose}:${tokenHash}`;
+  }
+
+  static getOneTimeUserKey(purpose, userId) {
+    return `${this.ONE_TIME_USER_PREFIX}${purpose}:${userId}`;
+  }
+
+  static getAccessDenyKey(jti) {
+    return `${this.ACCESS_DENY_PREFIX}${jti}`;
+  }
+
+  static getRevokedBeforeKey(userId) {
+    return `${this.ACCESS_REVOKED_BEFORE_PREFIX}${userId}`;
+  }
+}
+
+module.exports = TokenService;
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const redisClient = require('../utils/redisClient');
+const Encryption = require('../utils/encryption');
+const Totp = require('../utils/totp');
+const TokenService = require('./tokenService');
+const { twoFactorIssuer, twoFactorChallengeTtl } = require('../config/keys');
+
+class TwoFactorService {
+  static CHALLENGE_PREFIX = 'two_factor_challenge:';
+  static USED_STEP_PREFIX = 'totp_used:';
+  static MAX_CHALLENGE_ATTEMPTS = 5;
+  static RECOVERY_CODE_COUNT = 10;
+
+  // 등록 시작: 임시 시크릿 생성 (코드 확인 전까지 활성화되지 않음)
+  static async createSetup(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('사용자를 찾을 수 없습니다.');
+    }
+
+    const secret = Totp.generateSecret();
+    user.twoFactorPendingSecret = Encryption.encrypt(secret);
+    await user.save();
+
+    return {
+      secret,
+      otpauthUrl: Totp.buildOtpAuthUrl({
+        secret,
+        accountName: user.email,
+        issuer: twoFactorIssuer
+      })
+    };
+  }
+
+  // 등록 완료: 임시 시크릿으로 생성한 코드 확인 후 활성화, 복구 코드 발급
+  static async enable(userId, code) {
+    const user = await User.findById(userId).select('+twoFactorPendingSecret');
+    if (!user || !user.twoFactorPendingSecret) {
+      return {
+        success: false,
+        error: 'SETUP_NOT_STARTED',
+        message: '2단계 인증 설정을 먼저 시작해주세요.'
+      };
+    }
+
+    const secret = Encryption.decrypt(user.twoFactorPendingSecret);
+    const step = Totp.verify(secret, code);
+    if (step === null || !(await this.markStepUsed(user._id, step))) {
+      return {
+        success: false,
+        error: 'INVALID_TWO_FACTOR_CODE',
+        message: '인증 코드가 올바르지 않습니다.'
+      };
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode));
+    user.twoFactorEnabled = true;
+    await user.save();
+
+    return { success: true, recoveryCodes };
+  }
+
+  static async disable(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { twoFactorEnabled: false },
+        $unset: {
+          twoFactorSecret: 1,
+          twoFactorPendingSecret: 1,
+          twoFactorRecoveryCodes: 1
+        }
+      }
+    );
+  }
+
+  // TOTP 코드 또는 복구 코드 확인 (복구 코드는 사용 즉시 폐기)
+  static async verifyCode(userId, { code, recoveryCode }) {
+    const user = await User.findById(userId).select('+twoFactorSecret +twoFactorRecoveryCodes');
+    if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) {
+      return false;
+    }
+
+    if (recoveryCode) {
+      const recoveryHash = this.hashRecoveryCode(recoveryCode);
+      const result = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: recoveryHash },
+        { $pull: { twoFactorRecoveryCodes: recoveryHash } }
+      );
+      return result.modifiedCount > 0;
+    }
+
+    const secret = Encryption.decrypt(user.twoFactorSecret);
+    const step = Totp.verify(secret, code);
+    if (step === null) {
+      return false;
+    }
+
+    // 같은 코드 재사용 방지
+    return this.markStepUsed(user._id, step);
+  }
+
+  // 로그인 2단계 챌린지 발급
+  static async createChallenge(userId) {
+    const challengeToken = crypto.randomBytes(32).toString('hex');
+    const key = this.getChallengeKey(TokenService.hashToken(challengeToken));
+
+    await redisClient.setEx(key, twoFactorChallengeTtl, JSON.stringify({
+      userId: userId.toString(),
+      attempts: 0
+    }));
+
+    return { challengeToken, expiresIn: twoFactorChallengeTtl };
+  }
+
+  // 챌린지 조회 (소비하지 않음) - 코드 확인 전 계정 잠금 여부 확인용
+  static async getChallengeUserId(challengeToken) {
+    const challenge = await redisClient.get(this.getChallengeKey(TokenService.hashToken(challengeToken || '')));
+    if (!challenge || typeof challenge !== 'object') {
+      return null;
+    }
+    return challenge.userId;
+  }
+
+  // 챌린지 검증 - 성공 시 챌린지 폐기, 실패 횟수 초과 시 폐기
+  static async completeChallenge(challengeToken, credentials) {
+    const key = this.getChallengeKey(TokenService.hashToken(challengeToken || ''));
+    const challenge = await redisClient.get(key);
+
+    if (!challenge || typeof challenge !== 'object') {
+      return {
+        success: false,
+        error: 'INVALID_CHALLENGE',
+        message: '인증 요청이 만료되었습니다. 다시 로그인해주세요.'
+      };
+    }
+
+    const isValid = await this.verifyCode(challenge.userId, credentials);
+    if (!isValid) {
+      challenge.attempts += 1;
+
+      if (challenge.attempts >= this.MAX_CHALLENGE_ATTEMPTS) {
+        await redisClient.del(key);
+        return {
+          success: false,
+          error: 'INVALID_CHALLENGE',
+          message: '인증 시도 횟수를 초과했습니다. 다시 로그인해주세요.',
+          userId: challenge.userId
+        };
+      }
+
+      await redisClient.setEx(key, twoFactorChallengeTtl, JSON.stringify(challenge));
+      return {
+        success: false,
+        error: 'INVALID_TWO_FACTOR_CODE',
+        message: '인증 코드가 올바르지 않습니다.',
+        userId: challenge.userId
+      };
+    }
+
+    // 동시 요청 중 먼저 삭제한 요청만 성공
+    const deleted = await redisClient.del(key);
+    if (!deleted) {
+      return {
+        success: false,
+        error: 'INVALID_CHALLENGE',
+        message: '인증 요청이 만료되었습니다. 다시 로그인해주세요.'
+      };
+    }
+
+    return { success: true, userId: challenge.userId };
+  }
+
+  static async markStepUsed(userId, step) {
+    const result = await redisClient.set(
+      `${this.USED_STEP_PREFIX}${userId}:${step}`,
+      Date.now(),
+      { nx: true, ttl: Totp.STEP * 3 }
+    );
+    return !!result;
+  }
+
+  static generateRecoveryCodes() {
+    return Array.from({ length: this.RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  static hashRecoveryCode(recoveryCode) {
+    const normalized = String(recoveryCode).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return TokenService.hashToken(normalized);
+  }
+
+  static getChallengeKey(challengeHash) {
+    return `${this.CHALLENGE_PREFIX}${challengeHash}`;
+  }
+}
+
+module.exports = TwoFactorService;
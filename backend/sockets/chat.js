@@ -2,11 +2,40 @@ const Message = require('../models/Message');
 const Room = require('../models/Room');
 const User = require('../models/User');
 const File = require('../models/File');
-const jwt = require('jsonwebtoken');
-const { jwtSecret } = require('../config/keys');
 const redisClient = require('../utils/redisClient');
 const SessionService = require('../services/sessionService');
+const TokenService = require('../services/tokenService');
 const aiService = require('../services/aiService');
+const EmailVerificationService = require('../services/emailVerificationService');
+const ApiTokenService = require('../services/apiTokenService');
+const Roles = require('../utils/roles');
+const ProfileCacheService = require('../services/profileCacheService');
+const RoomService = require('../services/roomService');
+
+// 탈퇴로 작성자 정보가 제거된 메시지에 표시할 작성자
+const DELETED_USER = {
+  _id: null,
+  name: '탈퇴한 사용자',
+  profileImage: ''
+};
+
+// 채팅 화면용 사용자 정보 - 같은 채팅방 참여자 기준 공개 범위를 적용한 캐시 프로필 사용
+const getChatProfiles = (userIds) =>
+  ProfileCacheService.getProfiles(userIds, { audience: 'room_members' });
+
+const toChatUser = (profile) => profile ? { _id: profile.id, ...profile } : DELETED_USER;
+
+// 메시지 작성자 정보 채우기 (탈퇴한 사용자의 메시지는 익명 작성자로 표시)
+const hydrateSenders = async (messages) => {
+  const profiles = await getChatProfiles(messages.map(message => message.sender));
+  return messages.map(message => {
+    if (message.type === 'ai' || message.type === 'system') return message;
+    return {
+      ...message,
+      sender: toChatUser(message.sender && profiles.get(message.sender.toString()))
+    };
+  });
+};
 
 module.exports = function(io) {
   const connectedUsers = new Map();
@@ -19,7 +48,6 @@ module.exports = function(io) {
   const MAX_RETRIES = 3;  // 최대 재시도 횟수
   const MESSAGE_LOAD_TIMEOUT = 10000; // 메시지 로드 타임아웃 (10초)
   const RETRY_DELAY = 2000; // 재시도 간격 (2초)
-  const DUPLICATE_LOGIN_TIMEOUT = 10000; // 중복 로그인 타임아웃 (10초)
 
   // 로깅 유틸리티 함수
   const logDebug = (action, data) => {
@@ -47,7 +75,6 @@ module.exports = function(io) {
       // 메시지 로드 with profileImage
       const messages = await Promise.race([
         Message.find(query)
-          .populate('sender', 'name email profileImage')
           .populate({
             path: 'file',
             select: 'filename originalname mimetype size'
@@ -60,7 +87,7 @@ module.exports = function(io) {
 
       // 결과 처리
       const hasMore = messages.length > limit;
-      const resultMessages = messages.slice(0, limit);
+      const resultMessages = await hydrateSenders(messages.slice(0, limit));
       const sortedMessages = resultMessages.sort((a, b) => 
         new Date(a.timestamp) - new Date(b.timestamp)
       );
@@ -146,65 +173,116 @@ module.exports = function(io) {
     }
   };
 
-  // 중복 로그인 처리 함수
-  const handleDuplicateLogin = async (existingSocket, newSocket) => {
-    try {
-      // 기존 연결에 중복 로그인 알림
-      existingSocket.emit('duplicate_login', {
-        type: 'new_login_attempt',
-        deviceInfo: newSocket.handshake.headers['user-agent'],
-        ipAddress: newSocket.handshake.address,
-        timestamp: Date.now()
-      });
+  // 사용자별 연결 소켓 관리 (여러 기기 동시 접속 허용)
+  const addUserSocket = (userId, socketId) => {
+    const sockets = connectedUsers.get(userId) || new Set();
+    sockets.add(socketId);
+    connectedUsers.set(userId, sockets);
+  };
 
-      // 타임아웃 설정
-      return new Promise((resolve) => {
-        setTimeout(async () => {
-          try {
-            // 기존 세션 종료
-            existingSocket.emit('session_ended', {
-              reason: 'duplicate_login',
-              message: '다른 기기에서 로그인하여 현재 세션이 종료되었습니다.'
-            });
+  const removeUserSocket = (userId, socketId) => {
+    const sockets = connectedUsers.get(userId);
+    if (!sockets) return;
+    sockets.delete(socketId);
+    if (sockets.size === 0) {
+      connectedUsers.delete(userId);
+    }
+  };
+
+  // 현재 참여 중인 방 - REST API로 강퇴·차단되어 소켓이 방에서 빠진 경우 남은 기록 정리
+  const getCurrentRoom = (socket) => {
+    const roomId = userRooms.get(socket.id);
+    if (roomId && !socket.rooms.has(roomId)) {
+      userRooms.delete(socket.id);
+      return undefined;
+    }
+    return roomId;
+  };
+
+  // 같은 사용자의 다른 소켓이 해당 방에 남아있는지 확인
+  const hasOtherSocketInRoom = (userId, socketId, roomId) => {
+    const sockets = connectedUsers.get(userId);
+    if (!sockets) return false;
+    return Array.from(sockets).some(id => id !== socketId && userRooms.get(id) === roomId);
+  };
 
-            // 기존 연결 종료
-            existingSocket.disconnect(true);
-            resolve();
-          } catch (error) {
-            console.error('Error during session termination:', error);
-            resolve();
+  // 1:1 대화 새 메시지를 대화방 밖에 있는 상대 소켓에 전달
+  const notifyDirectMessage = (room, message) => {
+    const roomId = room._id.toString();
+    (room.members || [])
+      .map(member => member.toString())
+      .filter(memberId => memberId !== message.sender?._id?.toString())
+      .forEach(memberId => {
+        const sockets = connectedUsers.get(memberId);
+        if (!sockets) return;
+        sockets.forEach(socketId => {
+          if (userRooms.get(socketId) !== roomId) {
+            io.to(socketId).emit('directMessage', { roomId, message });
           }
-        }, DUPLICATE_LOGIN_TIMEOUT);
+        });
       });
-    } catch (error) {
-      console.error('Duplicate login handling error:', error);
+  };
+
+  // 미들웨어: 소켓 연결 시 인증 처리
+  // API 토큰으로 접속한 소켓의 권한 범위 확인 (세션 로그인은 모든 범위 허용)
+  const assertScope = (socket, scope) => {
+    if (socket.user?.authType !== 'api_token') return;
+    if (!socket.user.scopes.includes(scope)) {
+      const error = new Error(`API 토큰에 필요한 권한이 없습니다: ${scope}`);
+      error.code = 'INSUFFICIENT_SCOPE';
       throw error;
     }
   };
 
-  // 미들웨어: 소켓 연결 시 인증 처리
   io.use(async (socket, next) => {
     try {
       const token = socket.handshake.auth.token;
       const sessionId = socket.handshake.auth.sessionId;
 
+      // 개인 API 토큰은 세션 없이 단독으로 인증
+      const apiToken = socket.handshake.auth.apiToken ||
+        (ApiTokenService.isApiToken(token) ? token : null);
+      if (apiToken) {
+        const result = await ApiTokenService.authenticate(apiToken, socket.handshake.address);
+        if (!result) {
+          return next(new Error('Invalid API token'));
+        }
+
+        if (result.user.isSuspended()) {
+          return next(new Error('Account suspended'));
+        }
+
+        socket.user = {
+          id: result.user._id.toString(),
+          name: result.user.name,
+          email: result.user.email,
+          sessionId: null,
+          profileImage: result.user.profileImage,
+          emailVerified: result.user.emailVerified,
+          role: Roles.normalize(result.user.role),
+          authType: 'api_token',
+          apiTokenId: result.tokenId,
+          scopes: result.scopes
+        };
+        return next();
+      }
+
       if (!token || !sessionId) {
         return next(new Error('Authentication error'));
       }
 
-      const decoded = jwt.verify(token, jwtSecret);
+      const decoded = TokenService.verifyAccessToken(token);
       if (!decoded?.user?.id) {
         return next(new Error('Invalid token'));
       }
 
-      // 이미 연결된 사용자인지 확인
-      const existingSocketId = connectedUsers.get(decoded.user.id);
-      if (existingSocketId) {
-        const existingSocket = io.sockets.sockets.get(existingSocketId);
-        if (existingSocket) {
-          // 중복 로그인 처리
-          await handleDuplicateLogin(existingSocket, socket);
-        }
+      if (await TokenService.isAccessTokenRevoked(decoded)) {
+        return next(new Error('Token revoked'));
+      }
+
+      // 토큰이 발급된 세션과 핸드셰이크의 세션이 같은지 확인
+      if (decoded.sessionId !== sessionId) {
+        return next(new Error('Invalid session'));
       }
 
       const validationResult = await SessionService.validateSession(decoded.user.id, sessionId);
@@ -218,15 +296,22 @@ module.exports = function(io) {
         return next(new Error('User not found'));
       }
 
+      if (user.isSuspended()) {
+        return next(new Error('Account suspended'));
+      }
+
       socket.user = {
         id: user._id.toString(),
         name: user.name,
         email: user.email,
         sessionId: sessionId,
-        profileImage: user.profileImage
+        profileImage: user.profileImage,
+        emailVerified: user.emailVerified,
+        role: Roles.normalize(user.role),
+        authType: 'session'
       };
 
-      await SessionService.updateLastActivity(decoded.user.id);
+      await SessionService.updateLastActivity(decoded.user.id, sessionId);
       next();
 
     } catch (error) {
@@ -252,32 +337,14 @@ module.exports = function(io) {
     });
 
     if (socket.user) {
-      // 이전 연결이 있는지 확인
-      const previousSocketId = connectedUsers.get(socket.user.id);
-      if (previousSocketId && previousSocketId !== socket.id) {
-        const previousSocket = io.sockets.sockets.get(previousSocketId);
-        if (previousSocket) {
-          // 이전 연결에 중복 로그인 알림
-          previousSocket.emit('duplicate_login', {
-            type: 'new_login_attempt',
-            deviceInfo: socket.handshake.headers['user-agent'],
-            ipAddress: socket.handshake.address,
-            timestamp: Date.now()
-          });
+      // 새로운 연결 정보 저장
+      addUserSocket(socket.user.id, socket.id);
 
-          // 이전 연결 종료 처리
-          setTimeout(() => {
-            previousSocket.emit('session_ended', {
-              reason: 'duplicate_login',
-              message: '다른 기기에서 로그인하여 현재 세션이 종료되었습니다.'
-            });
-            previousSocket.disconnect(true);
-          }, DUPLICATE_LOGIN_TIMEOUT);
-        }
+      // 세션 종료 시 해당 소켓에 알릴 수 있도록 세션에 소켓 ID 기록
+      if (socket.user.sessionId) {
+        SessionService.setSocketId(socket.user.id, socket.user.sessionId, socket.id)
+          .catch(error => console.error('Socket id registration error:', error));
       }
-      
-      // 새로운 연결 정보 저장
-      connectedUsers.set(socket.user.id, socket.id);
     }
 
     // 이전 메시지 로딩 처리 개선
@@ -289,6 +356,8 @@ module.exports = function(io) {
           throw new Error('Unauthorized');
         }
 
+        assertScope(socket, 'messages:read');
+
         // 권한 체크
         const room = await Room.findOne({
           _id: roomId,
@@ -341,8 +410,22 @@ module.exports = function(io) {
           throw new Error('Unauthorized');
         }
 
-        // 이미 해당 방에 참여 중인지 확인
-        const currentRoom = userRooms.get(socket.user.id);
+        assertScope(socket, 'rooms:write');
+
+        // 이메일 미인증 사용자 입장 제한 (접속 후 인증한 경우를 위해 DB 재확인)
+        if (EmailVerificationService.isRequiredForRooms() && !socket.user.emailVerified) {
+          const verifiedUser = await User.findById(socket.user.id).select('emailVerified').lean();
+          socket.user.emailVerified = !!verifiedUser?.emailVerified;
+        }
+
+        if (EmailVerificationService.isRequiredForRooms() && !socket.user.emailVerified) {
+          const error = new Error('이메일 인증 후 채팅방에 입장할 수 있습니다.');
+          error.code = 'EMAIL_NOT_VERIFIED';
+          throw error;
+        }
+
+        // 이미 해당 방에 참여 중인지 확인 (실제 소켓 룸 기준)
+        const currentRoom = getCurrentRoom(socket);
         if (currentRoom === roomId) {
           logDebug('already in room', {
             userId: socket.user.id,
@@ -352,6 +435,15 @@ module.exports = function(io) {
           return;
         }
 
+        // 차단된 사용자, 초대 전용 방의 비멤버, 비밀번호 확인 전 사용자 입장 제한
+        const targetRoom = await Room.findById(roomId)
+          .select('type creator moderators participants members visibility hasPassword bans')
+          .lean();
+        if (!targetRoom) {
+          throw new Error('채팅방을 찾을 수 없습니다.');
+        }
+        RoomService.assertCanJoin(targetRoom, socket.user);
+
         // 기존 방에서 나가기
         if (currentRoom) {
           logDebug('leaving current room', { 
@@ -359,7 +451,7 @@ module.exports = function(io) {
             roomId: currentRoom 
           });
           socket.leave(currentRoom);
-          userRooms.delete(socket.user.id);
+          userRooms.delete(socket.id);
           
           socket.to(currentRoom).emit('userLeft', {
             userId: socket.user.id,
@@ -367,32 +459,35 @@ module.exports = function(io) {
           });
         }
 
-        // 채팅방 참가 with profileImage
+        // 채팅방 참가 with profileImage (접속 목록과 함께 멤버로 등록)
         const room = await Room.findByIdAndUpdate(
           roomId,
-          { $addToSet: { participants: socket.user.id } },
+          { $addToSet: { participants: socket.user.id, members: socket.user.id } },
           { 
             new: true,
             runValidators: true 
           }
-        ).populate('participants', 'name email profileImage');
+        );
 
         if (!room) {
           throw new Error('채팅방을 찾을 수 없습니다.');
         }
 
         socket.join(roomId);
-        userRooms.set(socket.user.id, roomId);
+        userRooms.set(socket.id, roomId);
 
-        // 입장 메시지 생성
-        const joinMessage = new Message({
+        // 입장 메시지 생성 (1:1 대화는 입퇴장 메시지를 남기지 않음)
+        const isDirect = RoomService.isDirect(room);
+        const joinMessage = isDirect ? null : new Message({
           room: roomId,
           content: `${socket.user.name}님이 입장하였습니다.`,
           type: 'system',
           timestamp: new Date()
         });
-        
-        await joinMessage.save();
+
+        if (joinMessage) {
+          await joinMessage.save();
+        }
 
         // 초기 메시지 로드
         const messageLoadResult = await loadMessages(socket, roomId);
@@ -410,18 +505,22 @@ module.exports = function(io) {
             isStreaming: true
           }));
 
+        const participants = await RoomService.getParticipants(room);
+
         // 이벤트 발송
         socket.emit('joinRoomSuccess', {
           roomId,
-          participants: room.participants,
+          participants,
           messages,
           hasMore,
           oldestTimestamp,
           activeStreams
         });
 
-        io.to(roomId).emit('message', joinMessage);
-        io.to(roomId).emit('participantsUpdate', room.participants);
+        if (joinMessage) {
+          io.to(roomId).emit('message', joinMessage);
+        }
+        io.to(roomId).emit('participantsUpdate', participants);
 
         logDebug('user joined room', {
           userId: socket.user.id,
@@ -433,7 +532,9 @@ module.exports = function(io) {
       } catch (error) {
         console.error('Join room error:', error);
         socket.emit('joinRoomError', {
-          message: error.message || '채팅방 입장에 실패했습니다.'
+          code: error.code || 'JOIN_ROOM_ERROR',
+          message: error.message || '채팅방 입장에 실패했습니다.',
+          ...(error.expiresAt && { expiresAt: error.expiresAt })
         });
       }
     });
@@ -445,6 +546,8 @@ module.exports = function(io) {
           throw new Error('Unauthorized');
         }
 
+        assertScope(socket, 'messages:write');
+
         if (!messageData) {
           throw new Error('메시지 데이터가 없습니다.');
         }
@@ -465,14 +568,23 @@ module.exports = function(io) {
           throw new Error('채팅방 접근 권한이 없습니다.');
         }
 
-        // 세션 유효성 재확인
-        const sessionValidation = await SessionService.validateSession(
-          socket.user.id, 
-          socket.user.sessionId
-        );
-        
-        if (!sessionValidation.isValid) {
-          throw new Error('세션이 만료되었습니다. 다시 로그인해주세요.');
+        // 채팅 금지 상태 확인
+        RoomService.assertNotMuted(chatRoom, socket.user.id);
+
+        // 세션(또는 API 토큰) 유효성 재확인
+        if (socket.user.authType === 'api_token') {
+          if (!await ApiTokenService.isActive(socket.user.apiTokenId)) {
+            throw new Error('API 토큰이 폐기되었거나 만료되었습니다.');
+          }
+        } else {
+          const sessionValidation = await SessionService.validateSession(
+            socket.user.id, 
+            socket.user.sessionId
+          );
+          
+          if (!sessionValidation.isValid) {
+            throw new Error('세션이 만료되었습니다. 다시 로그인해주세요.');
+          }
         }
 
         // AI 멘션 확인
@@ -490,6 +602,8 @@ module.exports = function(io) {
         // 메시지 타입별 처리
         switch (type) {
           case 'file':
+            assertScope(socket, 'files:write');
+
             if (!fileData || !fileData._id) {
               throw new Error('파일 데이터가 올바르지 않습니다.');
             }
@@ -540,12 +654,15 @@ module.exports = function(io) {
         }
 
         await message.save();
-        await message.populate([
-          { path: 'sender', select: 'name email profileImage' },
-          { path: 'file', select: 'filename originalname mimetype size' }
-        ]);
+        await message.populate({ path: 'file', select: 'filename originalname mimetype size' });
+        const [hydratedMessage] = await hydrateSenders([message.toObject()]);
 
-        io.to(room).emit('message', message);
+        io.to(room).emit('message', hydratedMessage);
+
+        // 1:1 대화 상대가 대화방에 들어와 있지 않으면 연결된 다른 소켓으로 알림
+        if (RoomService.isDirect(chatRoom)) {
+          notifyDirectMessage(chatRoom, hydratedMessage);
+        }
 
         // AI 멘션이 있는 경우 AI 응답 생성
         if (aiMentions.length > 0) {
@@ -555,7 +672,9 @@ module.exports = function(io) {
           }
         }
 
-        await SessionService.updateLastActivity(socket.user.id);
+        if (socket.user.sessionId) {
+          await SessionService.updateLastActivity(socket.user.id, socket.user.sessionId);
+        }
 
         logDebug('message processed', {
           messageId: message._id,
@@ -567,7 +686,8 @@ module.exports = function(io) {
         console.error('Message handling error:', error);
         socket.emit('error', {
           code: error.code || 'MESSAGE_ERROR',
-          message: error.message || '메시지 전송 중 오류가 발생했습니다.'
+          message: error.message || '메시지 전송 중 오류가 발생했습니다.',
+          ...(error.expiresAt && { expiresAt: error.expiresAt })
         });
       }
     });
@@ -579,8 +699,10 @@ module.exports = function(io) {
           throw new Error('Unauthorized');
         }
 
+        assertScope(socket, 'rooms:read');
+
         // 실제로 해당 방에 참여 중인지 먼저 확인
-        const currentRoom = userRooms?.get(socket.user.id);
+        const currentRoom = getCurrentRoom(socket);
         if (!currentRoom || currentRoom !== roomId) {
           console.log(`User ${socket.user.id} is not in room ${roomId}`);
           return;
@@ -590,7 +712,7 @@ module.exports = function(io) {
         const room = await Room.findOne({
           _id: roomId,
           participants: socket.user.id
-        }).select('participants').lean();
+        }).select('participants type').lean();
 
         if (!room) {
           console.log(`Room ${roomId} not found or user has no access`);
@@ -598,10 +720,15 @@ module.exports = function(io) {
         }
 
         socket.leave(roomId);
-        userRooms.delete(socket.user.id);
+        userRooms.delete(socket.id);
+
+        // 같은 사용자의 다른 기기가 아직 방에 있으면 참가자 목록 유지
+        if (hasOtherSocketInRoom(socket.user.id, socket.id, roomId)) {
+          return;
+        }
 
-        // 퇴장 메시지 생성 및 저장
-        const leaveMessage = await Message.create({
+        // 퇴장 메시지 생성 및 저장 (1:1 대화 제외)
+        const leaveMessage = RoomService.isDirect(room) ? null : await Message.create({
           room: roomId,
           content: `${socket.user.name}님이 퇴장하였습니다.`,
           type: 'system',
@@ -616,7 +743,7 @@ module.exports = function(io) {
             new: true,
             runValidators: true
           }
-        ).populate('participants', 'name email profileImage');
+        );
 
         if (!updatedRoom) {
           console.log(`Room ${roomId} not found during update`);
@@ -636,8 +763,10 @@ module.exports = function(io) {
         messageLoadRetries.delete(queueKey);
 
         // 이벤트 발송
-        io.to(roomId).emit('message', leaveMessage);
-        io.to(roomId).emit('participantsUpdate', updatedRoom.participants);
+        if (leaveMessage) {
+          io.to(roomId).emit('message', leaveMessage);
+        }
+        io.to(roomId).emit('participantsUpdate', await RoomService.getParticipants(updatedRoom));
 
         console.log(`User ${socket.user.id} left room ${roomId} successfully`);
 
@@ -649,18 +778,20 @@ module.exports = function(io) {
       }
     });
     
+    // 연결 해제 직전 (소켓 룸 정보가 남아 있을 때) 이미 내보내진 방 기록 정리
+    socket.on('disconnecting', () => {
+      getCurrentRoom(socket);
+    });
+
     // 연결 해제 처리
     socket.on('disconnect', async (reason) => {
       if (!socket.user) return;
 
       try {
-        // 해당 사용자의 현재 활성 연결인 경우에만 정리
-        if (connectedUsers.get(socket.user.id) === socket.id) {
-          connectedUsers.delete(socket.user.id);
-        }
+        removeUserSocket(socket.user.id, socket.id);
 
-        const roomId = userRooms.get(socket.user.id);
-        userRooms.delete(socket.user.id);
+        const roomId = userRooms.get(socket.id);
+        userRooms.delete(socket.id);
 
         // 메시지 큐 정리
         const userQueues = Array.from(messageQueues.keys())
@@ -678,16 +809,9 @@ module.exports = function(io) {
         }
 
         // 현재 방에서 자동 퇴장 처리
-        if (roomId) {
-          // 다른 디바이스로 인한 연결 종료가 아닌 경우에만 처리
-          if (reason !== 'client namespace disconnect' && reason !== 'duplicate_login') {
-            const leaveMessage = await Message.create({
-              room: roomId,
-              content: `${socket.user.name}님이 연결이 끊어졌습니다.`,
-              type: 'system',
-              timestamp: new Date()
-            });
-
+        if (roomId && !hasOtherSocketInRoom(socket.user.id, socket.id, roomId)) {
+          // 클라이언트가 직접 종료한 경우가 아닐 때만 처리
+          if (reason !== 'client namespace disconnect') {
             const updatedRoom = await Room.findByIdAndUpdate(
               roomId,
               { $pull: { participants: socket.user.id } },
@@ -695,11 +819,20 @@ module.exports = function(io) {
                 new: true,
                 runValidators: true 
               }
-            ).populate('participants', 'name email profileImage');
+            );
 
             if (updatedRoom) {
-              io.to(roomId).emit('message', leaveMessage);
-              io.to(roomId).emit('participantsUpdate', updatedRoom.participants);
+              // 1:1 대화는 연결 끊김 메시지를 남기지 않음
+              if (!RoomService.isDirect(updatedRoom)) {
+                const leaveMessage = await Message.create({
+                  room: roomId,
+                  content: `${socket.user.name}님이 연결이 끊어졌습니다.`,
+                  type: 'system',
+                  timestamp: new Date()
+                });
+                io.to(roomId).emit('message', leaveMessage);
+              }
+              io.to(roomId).emit('participantsUpdate', await RoomService.getParticipants(updatedRoom));
             }
           }
         }
@@ -716,34 +849,6 @@ module.exports = function(io) {
       }
     });
 
-    // 세션 종료 또는 로그아웃 처리
-    socket.on('force_login', async ({ token }) => {
-      try {
-        if (!socket.user) return;
-
-        // 강제 로그아웃을 요청한 클라이언트의 세션 정보 확인
-        const decoded = jwt.verify(token, jwtSecret);
-        if (!decoded?.user?.id || decoded.user.id !== socket.user.id) {
-          throw new Error('Invalid token');
-        }
-
-        // 세션 종료 처리
-        socket.emit('session_ended', {
-          reason: 'force_logout',
-          message: '다른 기기에서 로그인하여 현재 세션이 종료되었습니다.'
-        });
-
-        // 연결 종료
-        socket.disconnect(true);
-
-      } catch (error) {
-        console.error('Force login error:', error);
-        socket.emit('error', {
-          message: '세션 종료 중 오류가 발생했습니다.'
-        });
-      }
-    });
-
     // 메시지 읽음 상태 처리
     socket.on('markMessagesAsRead', async ({ roomId, messageIds }) => {
       try {
@@ -751,6 +856,8 @@ module.exports = function(io) {
           throw new Error('Unauthorized');
         }
 
+        assertScope(socket, 'messages:read');
+
         if (!Array.isArray(messageIds) || messageIds.length === 0) {
           return;
         }
@@ -785,6 +892,128 @@ module.exports = function(io) {
       }
     });
 
+    // 메시지 삭제 (작성자 본인 또는 메시지 관리 권한 보유자)
+    socket.on('deleteMessage', async ({ messageId }) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        assertScope(socket, 'messages:write');
+
+        const message = await Message.findOne({ _id: messageId, isDeleted: false });
+        if (!message) {
+          throw new Error('메시지를 찾을 수 없습니다.');
+        }
+
+        // 작성자가 아니면 채팅방 관리자 이상 (전역 운영자 포함)
+        if (message.sender?.toString() !== socket.user.id) {
+          const room = await Room.findById(message.room).select('type creator moderators members').lean();
+          RoomService.assertPermission(room, socket.user, 'room:messages');
+        }
+
+        await message.softDelete();
+
+        io.to(message.room).emit('messageDeleted', {
+          messageId,
+          deletedBy: socket.user.id
+        });
+
+      } catch (error) {
+        console.error('Delete message error:', error);
+        socket.emit('error', {
+          code: error.code || 'DELETE_MESSAGE_ERROR',
+          message: error.message || '메시지 삭제 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    // 채팅방 관리 이벤트 공통 처리 - 권한 확인과 변경은 RoomService에서 수행
+    const handleRoomAction = (event, errorCode, errorMessage, action) => {
+      socket.on(event, async (payload = {}) => {
+        try {
+          if (!socket.user) {
+            throw new Error('Unauthorized');
+          }
+
+          assertScope(socket, 'rooms:write');
+
+          const room = await Room.findById(payload.roomId);
+          if (!room) {
+            throw new Error('채팅방을 찾을 수 없습니다.');
+          }
+
+          await action(room, payload);
+
+        } catch (error) {
+          console.error(`${event} error:`, error);
+          socket.emit('error', {
+            code: error.code || errorCode,
+            message: error.message || errorMessage
+          });
+        }
+      });
+    };
+
+    // 강퇴/차단으로 채팅방에서 내보낸 소켓의 현재 방 정보 정리
+    const clearUserRooms = (roomId, socketIds) => {
+      socketIds.forEach(socketId => {
+        if (userRooms.get(socketId) === roomId.toString()) {
+          userRooms.delete(socketId);
+        }
+      });
+    };
+
+    // 채팅방 설정 변경 (이름, 비밀번호)
+    handleRoomAction('updateRoom', 'UPDATE_ROOM_ERROR', '채팅방 설정 변경 중 오류가 발생했습니다.',
+      (room, { name, password }) => RoomService.updateSettings(room, socket.user, { name, password, io })
+    );
+
+    // 멤버 강퇴
+    handleRoomAction('kickMember', 'KICK_MEMBER_ERROR', '멤버 강퇴 중 오류가 발생했습니다.',
+      async (room, { userId }) => {
+        const { removedSocketIds } = await RoomService.kickMember(room, socket.user, userId, { io });
+        clearUserRooms(room._id, removedSocketIds);
+      }
+    );
+
+    // 사용자 차단 / 해제
+    handleRoomAction('banMember', 'BAN_MEMBER_ERROR', '사용자 차단 중 오류가 발생했습니다.',
+      async (room, { userId, reason = '', until }) => {
+        const { removedSocketIds } = await RoomService.banMember(room, socket.user, userId, { reason, until, io });
+        clearUserRooms(room._id, removedSocketIds);
+      }
+    );
+
+    handleRoomAction('unbanMember', 'UNBAN_MEMBER_ERROR', '차단 해제 중 오류가 발생했습니다.',
+      (room, { userId }) => RoomService.unbanMember(room, socket.user, userId, { io })
+    );
+
+    // 채팅 금지 / 해제
+    handleRoomAction('muteMember', 'MUTE_MEMBER_ERROR', '채팅 금지 중 오류가 발생했습니다.',
+      (room, { userId, reason = '', until }) => RoomService.muteMember(room, socket.user, userId, { reason, until, io })
+    );
+
+    handleRoomAction('unmuteMember', 'UNMUTE_MEMBER_ERROR', '채팅 금지 해제 중 오류가 발생했습니다.',
+      (room, { userId }) => RoomService.unmuteMember(room, socket.user, userId, { io })
+    );
+
+    // 멤버 역할 변경
+    handleRoomAction('updateMemberRole', 'UPDATE_MEMBER_ROLE_ERROR', '멤버 역할 변경 중 오류가 발생했습니다.',
+      (room, { userId, role }) => RoomService.setMemberRole(room, socket.user, userId, role, { io })
+    );
+
+    // 채팅방 삭제
+    handleRoomAction('deleteRoom', 'DELETE_ROOM_ERROR', '채팅방 삭제 중 오류가 발생했습니다.',
+      async (room) => {
+        const roomId = room._id.toString();
+        await RoomService.deleteRoom(room, socket.user, { io });
+        userRooms.forEach((currentRoom, socketId) => {
+          if (currentRoom === roomId) userRooms.delete(socketId);
+        });
+      }
+    );
+
     // 리액션 처리
     socket.on('messageReaction', async ({ messageId, reaction, type }) => {
       try {
@@ -792,6 +1021,8 @@ module.exports = function(io) {
           throw new Error('Unauthorized');
         }
 
+        assertScope(socket, 'messages:write');
+
         const message = await Message.findById(messageId);
         if (!message) {
           throw new Error('메시지를 찾을 수 없습니다.');
@@ -0,0 +1,12 @@
+// backend/utils/createError.js
+
+// 컨트롤러가 status/code/field로 응답할 수 있는 서비스 에러 생성
+const createError = (message, code, status, field) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  if (field) error.field = field;
+  return error;
+};
+
+module.exports = createError;
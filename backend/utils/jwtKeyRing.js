@@ -0,0 +1,220 @@
+// backend/utils/jwtKeyRing.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const ms = require('ms');
+const config = require('../config/keys');
+
+// kid 없이 발급된 기존 토큰(JWT_SECRET, HS256)을 검증할 때 사용하는 키 ID
+const LEGACY_KID = 'default';
+
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512', 'EdDSA'];
+
+// '15m', '7 days', '1w', 900 같은 유효 기간을 초 단위로 변환 (jsonwebtoken의 expiresIn과 같은 ms 형식)
+const toSeconds = (value) => {
+  const seconds = typeof value === 'number' ? value : ms(String(value).trim()) / 1000;
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new Error(`Invalid token lifetime: ${value}`);
+  }
+  return Math.floor(seconds);
+};
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+// 환경 변수에 \n 으로 이스케이프된 PEM 또는 파일 경로에서 키 읽기
+const readPem = (value, file) => {
+  if (file) {
+    return fs.readFileSync(path.resolve(__dirname, '..', file), 'utf8');
+  }
+  return value ? value.replace(/\\n/g, '\n') : null;
+};
+
+class JwtKeyRing {
+  constructor() {
+    this.keys = null;
+    this.activeKid = null;
+  }
+
+  // 설정의 키 목록을 한 번만 읽어 KeyObject로 변환
+  load() {
+    if (this.keys) return;
+
+    // 폐기 기록 TTL 등에도 쓰이므로 액세스 토큰 유효 기간 형식도 시작 시점에 확인
+    toSeconds(config.accessTokenExpiresIn);
+
+    const entries = config.jwtKeys.length > 0
+      ? config.jwtKeys
+      : [{ kid: LEGACY_KID, alg: 'HS256', secret: config.jwtSecret }];
+
+    const keys = new Map();
+    for (const entry of entries) {
+      const key = this.createKey(entry);
+      if (keys.has(key.kid)) {
+        throw new Error(`Duplicate JWT key id: ${key.kid}`);
+      }
+      keys.set(key.kid, key);
+    }
+
+    const activeKid = config.jwtActiveKid ||
+      [...keys.values()].find(key => !key.retiredAt && key.signingKey)?.kid;
+    const activeKey = keys.get(activeKid);
+    if (!activeKey || !activeKey.signingKey || activeKey.retiredAt) {
+      throw new Error(`JWT active key is not usable for signing: ${activeKid}`);
+    }
+
+    this.keys = keys;
+    this.activeKid = activeKid;
+  }
+
+  createKey({ kid, alg = 'HS256', secret, privateKey, privateKeyFile, publicKey, publicKeyFile, retiredAt }) {
+    if (!kid) {
+      throw new Error('JWT key id (kid) is required');
+    }
+
+    const key = {
+      kid,
+      alg,
+      retiredAt: retiredAt ? new Date(retiredAt) : null
+    };
+
+    if (HMAC_ALGORITHMS.includes(alg)) {
+      if (!secret) {
+        throw new Error(`JWT key ${kid} requires a secret`);
+      }
+      key.signingKey = secret;
+      key.verificationKey = secret;
+      return key;
+    }
+
+    if (!ASYMMETRIC_ALGORITHMS.includes(alg)) {
+      throw new Error(`Unsupported JWT algorithm for key ${kid}: ${alg}`);
+    }
+
+    const privatePem = readPem(privateKey, privateKeyFile);
+    const publicPem = readPem(publicKey, publicKeyFile);
+    if (!privatePem && !publicPem) {
+      throw new Error(`JWT key ${kid} requires a private or public key`);
+    }
+
+    // 공개키만 있는 키는 검증 전용 (다른 서비스가 발급한 토큰 또는 교체 예정 키)
+    key.signingKey = privatePem ? crypto.createPrivateKey(privatePem) : null;
+    key.verificationKey = publicPem
+      ? crypto.createPublicKey(publicPem)
+      : crypto.createPublicKey(key.signingKey);
+    return key;
+  }
+
+  // 폐기된 키는 유예 기간이 지나면 더 이상 검증에 사용하지 않음
+  isVerifiable(key, now = Date.now()) {
+    if (!key.retiredAt) return true;
+    return now < key.retiredAt.getTime() + config.jwtKeyGracePeriod * 1000;
+  }
+
+  // 유효 기간 설정값('15m' 등)을 초 단위로 변환
+  toSeconds(value) {
+    return toSeconds(value);
+  }
+
+  getActiveKey() {
+    this.load();
+    return this.keys.get(this.activeKid);
+  }
+
+  sign(payload, { expiresIn } = {}) {
+    const key = this.getActiveKey();
+
+    // jsonwebtoken은 EdDSA를 지원하지 않으므로 직접 서명
+    if (key.alg === 'EdDSA') {
+      return this.signEdDSA(payload, key, expiresIn);
+    }
+
+    return jwt.sign(payload, key.signingKey, {
+      algorithm: key.alg,
+      keyid: key.kid,
+      ...(expiresIn !== undefined && { expiresIn })
+    });
+  }
+
+  verify(token) {
+    this.load();
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header) {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const { kid = LEGACY_KID, alg } = decoded.header;
+    const key = this.keys.get(kid);
+    if (!key || !this.isVerifiable(key)) {
+      throw new jwt.JsonWebTokenError('unknown or retired signing key');
+    }
+
+    // 헤더의 alg가 아니라 키에 지정된 알고리즘만 허용
+    if (alg !== key.alg) {
+      throw new jwt.JsonWebTokenError('invalid algorithm');
+    }
+
+    if (key.alg === 'EdDSA') {
+      return this.verifyEdDSA(token, key);
+    }
+
+    return jwt.verify(token, key.verificationKey, { algorithms: [key.alg] });
+  }
+
+  signEdDSA(payload, key, expiresIn) {
+    const iat = payload.iat ?? Math.floor(Date.now() / 1000);
+    const claims = { ...payload, iat };
+    if (expiresIn !== undefined) {
+      claims.exp = iat + toSeconds(expiresIn);
+    }
+
+    const header = { alg: 'EdDSA', typ: 'JWT', kid: key.kid };
+    const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+    const signature = crypto.sign(null, Buffer.from(signingInput), key.signingKey);
+    return `${signingInput}.${signature.toString('base64url')}`;
+  }
+
+  verifyEdDSA(token, key) {
+    const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+    const valid = crypto.verify(
+      null,
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      key.verificationKey,
+      Buffer.from(encodedSignature || '', 'base64url')
+    );
+    if (!valid) {
+      throw new jwt.JsonWebTokenError('invalid signature');
+    }
+
+    const claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.nbf === 'number' && now < claims.nbf) {
+      throw new jwt.NotBeforeError('jwt not active', new Date(claims.nbf * 1000));
+    }
+    if (typeof claims.exp === 'number' && now >= claims.exp) {
+      throw new jwt.TokenExpiredError('jwt expired', new Date(claims.exp * 1000));
+    }
+    return claims;
+  }
+
+  // 다른 서비스가 토큰을 검증할 수 있도록 공개키만 JWKS 형식으로 제공 (HMAC 키 제외)
+  getJwks() {
+    this.load();
+
+    const keys = [...this.keys.values()]
+      .filter(key => !HMAC_ALGORITHMS.includes(key.alg) && this.isVerifiable(key))
+      .map(key => ({
+        ...key.verificationKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig'
+      }));
+
+    return { keys };
+  }
+}
+
+const jwtKeyRing = new JwtKeyRing();
+module.exports = jwtKeyRing;
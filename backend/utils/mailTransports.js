@@ -0,0 +1,45 @@
+// backend/utils/mailTransports.js
+const fs = require('fs').promises;
+const path = require('path');
+
+// 메일 전송 인터페이스: send({ to, subject, text, html }) 를 구현하면 MailService에 등록 가능
+
+// 콘솔 출력 전송 (로컬 개발용)
+// 본문에는 인증 링크나 토큰이 포함될 수 있으므로 로그에는 메타데이터만 남긴다
+class ConsoleTransport {
+  async send(mail) {
+    console.log('[Mail] 메일 전송:', {
+      from: mail.from,
+      to: mail.to,
+      subject: mail.subject
+    });
+    return { accepted: [mail.to], transport: 'console' };
+  }
+}
+
+// 파일 저장 전송 (로컬 개발 및 테스트용)
+class FileTransport {
+  constructor(outboxDir) {
+    this.outboxDir = outboxDir;
+  }
+
+  async send(mail) {
+    await fs.mkdir(this.outboxDir, { recursive: true });
+
+    const safeRecipient = String(mail.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const filename = `${Date.now()}_${safeRecipient}.json`;
+    const filePath = path.join(this.outboxDir, filename);
+
+    await fs.writeFile(filePath, JSON.stringify({
+      ...mail,
+      sentAt: new Date().toISOString()
+    }, null, 2), 'utf8');
+
+    return { accepted: [mail.to], transport: 'file', path: filePath };
+  }
+}
+
+module.exports = {
+  ConsoleTransport,
+  FileTransport
+};
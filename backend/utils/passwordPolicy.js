@@ -0,0 +1,93 @@
+// backend/utils/passwordPolicy.js
+const fs = require('fs');
+const path = require('path');
+const { passwordPolicy } = require('../config/keys');
+
+const COMMON_PASSWORDS_PATH = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+// 비밀번호 정책 검증 (회원가입, 비밀번호 변경/재설정, User 스키마 공통)
+class PasswordPolicy {
+  static commonPasswords = null;
+
+  static getOptions() {
+    return passwordPolicy;
+  }
+
+  // 번들된 유출/흔한 비밀번호 목록 (최초 사용 시 한 번만 로드)
+  static getCommonPasswords() {
+    if (!this.commonPasswords) {
+      try {
+        this.commonPasswords = new Set(
+          fs.readFileSync(COMMON_PASSWORDS_PATH, 'utf8')
+            .split(/\r?\n/)
+            .map(line => line.trim().toLowerCase())
+            .filter(line => line && !line.startsWith('#'))
+        );
+      } catch (error) {
+        console.error('Common password list load error:', error);
+        this.commonPasswords = new Set();
+      }
+    }
+    return this.commonPasswords;
+  }
+
+  static isCommonPassword(password) {
+    return this.getCommonPasswords().has(String(password).toLowerCase());
+  }
+
+  // 정책 위반 항목을 [{ field, message }] 형식으로 반환 (통과 시 빈 배열)
+  static validate(password, { name, email, field = 'password' } = {}) {
+    const options = this.getOptions();
+    const errors = [];
+    const addError = message => errors.push({ field, message });
+
+    if (!password || typeof password !== 'string') {
+      addError('비밀번호를 입력해주세요.');
+      return errors;
+    }
+
+    if (password.length < options.minLength) {
+      addError(`비밀번호는 ${options.minLength}자 이상이어야 합니다.`);
+    }
+
+    if (password.length > options.maxLength) {
+      addError(`비밀번호는 ${options.maxLength}자를 초과할 수 없습니다.`);
+    }
+
+    if (options.requireLetter && !/[a-zA-Z]/.test(password)) {
+      addError('비밀번호에 영문자를 포함해야 합니다.');
+    }
+
+    if (options.requireMixedCase && !(/[a-z]/.test(password) && /[A-Z]/.test(password))) {
+      addError('비밀번호에 영문 대문자와 소문자를 모두 포함해야 합니다.');
+    }
+
+    if (options.requireNumber && !/\d/.test(password)) {
+      addError('비밀번호에 숫자를 포함해야 합니다.');
+    }
+
+    if (options.requireSymbol && !/[^a-zA-Z0-9\s]/.test(password)) {
+      addError('비밀번호에 특수문자를 포함해야 합니다.');
+    }
+
+    const lowerPassword = password.toLowerCase();
+
+    const trimmedName = typeof name === 'string' ? name.trim().toLowerCase() : '';
+    if (trimmedName.length >= 3 && lowerPassword.includes(trimmedName)) {
+      addError('비밀번호에 이름을 포함할 수 없습니다.');
+    }
+
+    const emailLocalPart = typeof email === 'string' ? email.split('@')[0].trim().toLowerCase() : '';
+    if (emailLocalPart.length >= 3 && lowerPassword.includes(emailLocalPart)) {
+      addError('비밀번호에 이메일 주소를 포함할 수 없습니다.');
+    }
+
+    if (this.isCommonPassword(password)) {
+      addError('너무 흔하거나 유출된 비밀번호입니다. 다른 비밀번호를 사용해주세요.');
+    }
+
+    return errors;
+  }
+}
+
+module.exports = PasswordPolicy;
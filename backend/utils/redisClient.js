@@ -14,6 +14,10 @@ class MockRedisClient {
   }
 
   async set(key, value, options = {}) {
+    if (options.nx && await this.get(key) !== null) {
+      return null;
+    }
+
     const stringValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
     this.store.set(key, { value: stringValue, expires: options.ttl ? Date.now() + (options.ttl * 1000) : null });
     return 'OK';
@@ -39,6 +43,15 @@ class MockRedisClient {
     return this.set(key, value, { ttl: seconds });
   }
 
+  async mGet(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  async setExMany(entries, seconds) {
+    await Promise.all(entries.map(([key, value]) => this.setEx(key, seconds, value)));
+    return entries.map(() => 'OK');
+  }
+
   async del(key) {
     return this.store.delete(key) ? 1 : 0;
   }
@@ -52,6 +65,74 @@ class MockRedisClient {
     return 0;
   }
 
+  async incr(key) {
+    const current = await this.get(key);
+    const item = this.store.get(key);
+    const next = (parseInt(current, 10) || 0) + 1;
+    this.store.set(key, { value: String(next), expires: item ? item.expires : null });
+    return next;
+  }
+
+  async ttl(key) {
+    const item = this.store.get(key);
+    if (!item) return -2;
+    if (!item.expires) return -1;
+
+    const remaining = Math.ceil((item.expires - Date.now()) / 1000);
+    if (remaining <= 0) {
+      this.store.delete(key);
+      return -2;
+    }
+    return remaining;
+  }
+
+  getSet(key, create = false) {
+    const item = this.store.get(key);
+    if (item && item.expires && Date.now() > item.expires) {
+      this.store.delete(key);
+    } else if (item && item.value instanceof Set) {
+      return item.value;
+    }
+
+    if (!create) return null;
+    const set = new Set();
+    this.store.set(key, { value: set, expires: null });
+    return set;
+  }
+
+  async sAdd(key, members) {
+    const set = this.getSet(key, true);
+    const before = set.size;
+    [].concat(members).forEach(member => set.add(String(member)));
+    return set.size - before;
+  }
+
+  async sRem(key, members) {
+    const set = this.getSet(key);
+    if (!set) return 0;
+    let removed = 0;
+    [].concat(members).forEach(member => {
+      if (set.delete(String(member))) removed++;
+    });
+    if (set.size === 0) this.store.delete(key);
+    return removed;
+  }
+
+  async sMembers(key) {
+    const set = this.getSet(key);
+    return set ? Array.from(set) : [];
+  }
+
+  async sIsMember(key, member) {
+    const set = this.getSet(key);
+    return !!set && set.has(String(member));
+  }
+
+  async sCard(key) {
+    const set = this.getSet(key);
+    return set ? set.size : 0;
+  }
+
   async quit() {
     this.store.clear();
     console.log('Mock Redis connection closed');
@@ -150,6 +231,14 @@ class RedisClient {
         stringValue = String(value);
       }
 
+      // NX 옵션: 키가 없을 때만 저장 (저장되지 않으면 null 반환)
+      if (options.nx) {
+        return await this.client.set(key, stringValue, {
+          NX: true,
+          ...(options.ttl && { EX: options.ttl })
+        });
+      }
+
       if (options.ttl) {
         return await this.client.setEx(key, options.ttl, stringValue);
       }
@@ -208,6 +297,59 @@ class RedisClient {
     }
   }
 
+  // 여러 키 일괄 조회 (MGET) - 키 순서대로 값 반환, 없는 키는 null
+  async mGet(keys) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+
+      if (keys.length === 0) return [];
+
+      if (this.useMock) {
+        return await this.client.mGet(keys);
+      }
+
+      const values = await this.client.mGet(keys);
+      return values.map(value => {
+        if (!value) return null;
+        try {
+          return JSON.parse(value);
+        } catch (parseError) {
+          return value;
+        }
+      });
+    } catch (error) {
+      console.error('Redis mGet error:', error);
+      throw error;
+    }
+  }
+
+  // 여러 키를 같은 TTL로 일괄 저장 (파이프라인)
+  async setExMany(entries, seconds) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+
+      if (entries.length === 0) return [];
+
+      if (this.useMock) {
+        return await this.client.setExMany(entries, seconds);
+      }
+
+      const pipeline = this.client.multi();
+      entries.forEach(([key, value]) => {
+        const stringValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        pipeline.setEx(key, seconds, stringValue);
+      });
+      return await pipeline.execAsPipeline();
+    } catch (error) {
+      console.error('Redis setExMany error:', error);
+      throw error;
+    }
+  }
+
   async del(key) {
     try {
       if (!this.isConnected) {
@@ -232,6 +374,90 @@ class RedisClient {
     }
   }
 
+  async incr(key) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+      return await this.client.incr(key);
+    } catch (error) {
+      console.error('Redis incr error:', error);
+      throw error;
+    }
+  }
+
+  async ttl(key) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+      return await this.client.ttl(key);
+    } catch (error) {
+      console.error('Redis ttl error:', error);
+      throw error;
+    }
+  }
+
+  async sAdd(key, members) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+      return await this.client.sAdd(key, members);
+    } catch (error) {
+      console.error('Redis sAdd error:', error);
+      throw error;
+    }
+  }
+
+  async sRem(key, members) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+      return await this.client.sRem(key, members);
+    } catch (error) {
+      console.error('Redis sRem error:', error);
+      throw error;
+    }
+  }
+
+  async sMembers(key) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+      return await this.client.sMembers(key);
+    } catch (error) {
+      console.error('Redis sMembers error:', error);
+      throw error;
+    }
+  }
+
+  async sIsMember(key, member) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+      return await this.client.sIsMember(key, member);
+    } catch (error) {
+      console.error('Redis sIsMember error:', error);
+      throw error;
+    }
+  }
+
+  async sCard(key) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+      return await this.client.sCard(key);
+    } catch (error) {
+      console.error('Redis sCard error:', error);
+      throw error;
+    }
+  }
+
   async quit() {
     if (this.client) {
       try {
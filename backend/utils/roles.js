@@ -0,0 +1,49 @@
+// backend/utils/roles.js
+
+// 전역 역할 (뒤에 올수록 상위 역할이며 하위 역할의 권한을 모두 포함)
+const ROLES = ['user', 'moderator', 'admin'];
+
+// 역할별로 추가되는 권한
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    'users:read',
+    'messages:moderate',
+    'rooms:moderate'
+  ],
+  admin: [
+    'users:manage',
+    'users:roles',
+    'tokens:revoke'
+  ]
+};
+
+class Roles {
+  static ROLES = ROLES;
+  static DEFAULT_ROLE = 'user';
+
+  static isValid(role) {
+    return ROLES.includes(role);
+  }
+
+  // 알 수 없는 값(역할 도입 전 발급된 토큰 등)은 기본 역할로 취급
+  static normalize(role) {
+    return this.isValid(role) ? role : this.DEFAULT_ROLE;
+  }
+
+  // role이 required 이상의 역할인지 확인
+  static hasRole(role, required) {
+    return ROLES.indexOf(this.normalize(role)) >= ROLES.indexOf(required);
+  }
+
+  static getPermissions(role) {
+    const level = ROLES.indexOf(this.normalize(role));
+    return ROLES.slice(0, level + 1).flatMap(name => ROLE_PERMISSIONS[name]);
+  }
+
+  static hasPermission(role, permission) {
+    return this.getPermissions(role).includes(permission);
+  }
+}
+
+module.exports = Roles;
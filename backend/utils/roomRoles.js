@@ -0,0 +1,74 @@
+// backend/utils/roomRoles.js
+
+const Roles = require('./roles');
+
+// 채팅방 내 역할 (뒤에 올수록 상위 역할이며 하위 역할의 권한을 모두 포함)
+// owner는 Room.creator, moderator는 Room.moderators, member는 그 외 멤버(Room.members)
+// 접속 여부와 관계없이 유지되도록 현재 접속자 목록(participants)이 아닌 멤버 목록 기준
+const ROLES = ['member', 'moderator', 'owner'];
+
+// 역할별로 추가되는 권한
+const ROLE_PERMISSIONS = {
+  member: [],
+  moderator: [
+    'room:rename',
+    'room:kick',
+    'room:ban',
+    'room:mute',
+    'room:invite',
+    'room:messages'
+  ],
+  owner: [
+    'room:password',
+    'room:visibility',
+    'room:roles',
+    'room:delete'
+  ]
+};
+
+const toId = (value) => value?._id?.toString() || value?.toString();
+
+class RoomRoles {
+  static ROLES = ROLES;
+
+  static isValid(role) {
+    return ROLES.includes(role);
+  }
+
+  // 채팅방 멤버십 기준 역할 (참가하지 않은 사용자는 null)
+  static getMemberRole(room, userId) {
+    if (!room || !userId) return null;
+    const id = userId.toString();
+
+    if (toId(room.creator) === id) return 'owner';
+    if ((room.moderators || []).some(moderator => toId(moderator) === id)) return 'moderator';
+    if ((room.members || []).some(member => toId(member) === id)) return 'member';
+    return null;
+  }
+
+  // 전역 rooms:moderate 권한이 있으면 모든 채팅방에서 최소 moderator로 취급
+  static getEffectiveRole(room, user) {
+    const memberRole = this.getMemberRole(room, user?.id);
+    if (Roles.hasPermission(user?.role, 'rooms:moderate') && !this.hasRole(memberRole, 'moderator')) {
+      return 'moderator';
+    }
+    return memberRole;
+  }
+
+  // role이 required 이상의 역할인지 확인
+  static hasRole(role, required) {
+    if (!this.isValid(role)) return false;
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  static getPermissions(role) {
+    if (!this.isValid(role)) return [];
+    return ROLES.slice(0, ROLES.indexOf(role) + 1).flatMap(name => ROLE_PERMISSIONS[name]);
+  }
+
+  static hasPermission(role, permission) {
+    return this.getPermissions(role).includes(permission);
+  }
+}
+
+module.exports = RoomRoles;
@@ -0,0 +1,117 @@
+// backend/utils/totp.js
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 TOTP (HMAC-SHA1, 30초, 6자리)
+class Totp {
+  static STEP = 30;
+  static DIGITS = 6;
+
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  static base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  static generateSecret(size = 20) {
+    return this.base32Encode(crypto.randomBytes(size));
+  }
+
+  static getStep(time = Date.now()) {
+    return Math.floor(time / 1000 / this.STEP);
+  }
+
+  // RFC 4226 HOTP
+  static hotp(secret, counter) {
+    const key = this.base32Decode(secret);
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return String(binary % (10 ** this.DIGITS)).padStart(this.DIGITS, '0');
+  }
+
+  static generate(secret, time = Date.now()) {
+    return this.hotp(secret, this.getStep(time));
+  }
+
+  // 시계 오차를 고려해 앞뒤 window 구간까지 검증, 일치한 step 반환 (불일치 시 null)
+  static verify(secret, code, { window = 1, time = Date.now() } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${this.DIGITS}}$`).test(normalized)) {
+      return null;
+    }
+
+    const currentStep = this.getStep(time);
+    for (let offset = -window; offset <= window; offset++) {
+      const step = currentStep + offset;
+      const expected = this.hotp(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  static buildOtpAuthUrl({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(this.DIGITS),
+      period: String(this.STEP)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+}
+
+module.exports = Totp;